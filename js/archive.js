@@ -0,0 +1,116 @@
+/**
+ * Archive module
+ * Lists every past daily puzzle with its completion status
+ */
+
+const Archive = (function() {
+  // Status icons shown in the archive list
+  const STATUS_LABELS = {
+    won: '\u{2705}',
+    lost: '\u{274C}',
+    started: '\u{23F3}',
+    unplayed: ''
+  };
+
+  let modalElement = null;
+  let listElement = null;
+  let onSelectCallback = null;
+
+  function init(modal, list, onSelect) {
+    modalElement = modal;
+    listElement = list;
+    onSelectCallback = onSelect;
+  }
+
+  /**
+   * Storage key for a game played from the archive
+   * @param {string} dateKey - YYYY-MM-DD
+   * @returns {string} localStorage key
+   */
+  function getStorageKey(dateKey) {
+    return `fishdle-archive-${dateKey}`;
+  }
+
+  /**
+   * Get the archive save for a date. The original daily save is never
+   * resumed here, so replaying a puzzle cannot change the daily result.
+   * @param {string} dateKey - YYYY-MM-DD
+   * @returns {Object|null} Saved game state
+   */
+  function loadState(dateKey) {
+    const saved = localStorage.getItem(getStorageKey(dateKey));
+    if (!saved) return null;
+
+    try {
+      return JSON.parse(saved);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Get completion status for a date from its archive save, so the list
+   * matches the board that opens
+   * @param {string} dateKey - YYYY-MM-DD
+   * @returns {string} 'won', 'lost', 'started' or 'unplayed'
+   */
+  function getStatus(dateKey) {
+    const state = loadState(dateKey);
+    if (!state) return 'unplayed';
+    if (!state.gameOver) return 'started';
+    return state.won ? 'won' : 'lost';
+  }
+
+  /**
+   * Render the list of games, newest first
+   */
+  function render() {
+    const todayNumber = Daily.getGameNumber(Daily.getTodayUTC());
+    const items = [];
+
+    for (let number = todayNumber; number >= 1; number--) {
+      const dateKey = Daily.getDateKey(Daily.getDateForGameNumber(number));
+      const status = getStatus(dateKey);
+      const override = Daily.getOverride(number);
+      const theme = override && override.theme ?
+        `<span class="archive-theme">${override.theme}</span>` : '';
+
+      items.push(`
+        <button class="archive-item ${status}" data-date="${dateKey}">
+          <span class="archive-number">#${number}</span>
+          <span class="archive-date">${number === todayNumber ? I18n.t('archive.today') : dateKey}${theme}</span>
+          <span class="archive-status">${STATUS_LABELS[status]}</span>
+        </button>
+      `);
+    }
+
+    listElement.innerHTML = items.join('');
+
+    listElement.querySelectorAll('.archive-item').forEach(item => {
+      item.addEventListener('click', () => {
+        hide();
+        if (onSelectCallback) {
+          onSelectCallback(item.dataset.date);
+        }
+      });
+    });
+  }
+
+  function show() {
+    render();
+    modalElement.classList.remove('hidden');
+  }
+
+  function hide() {
+    modalElement.classList.add('hidden');
+  }
+
+  return {
+    init,
+    getStorageKey,
+    loadState,
+    getStatus,
+    show,
+    hide
+  };
+})();
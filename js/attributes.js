@@ -0,0 +1,496 @@
+/**
+ * Attribute schema module
+ * Describes the fish attributes compared in each guess. The schema is loaded
+ * from data/attributes.json; its order is the display order used by the
+ * guess grid, hints and share rows.
+ *
+ * Each attribute has a key, a label and a type:
+ *   categorical  - exact match or wrong
+ *   set          - lists of values; the same list is exact, overlapping
+ *                  lists are close. "flag" names another attribute shown
+ *                  next to the value (e.g. migration)
+ *   ordinal      - ranked "values"; neighbours are close, with up/down arrows
+ *   numeric      - numbers; within "closePercent" of the target is close,
+ *                  with up/down arrows. [min, max] ranges are close when
+ *                  they overlap and compared by midpoint. "units" gives the
+ *                  metric unit and an imperial unit with a conversion factor.
+ *   hierarchical - "ranks" lists other attribute keys, narrowest first;
+ *                  sharing the first rank is close, a broader shared rank
+ *                  is only noted
+ *   geographic   - lists of region names from "regions", which gives each
+ *                  region a [lon, lat] center and its adjacent regions.
+ *                  Ranges are exact, overlapping or adjacent (both close),
+ *                  with a compass direction toward the target's range
+ *
+ * An attribute may name a different comparator with "comparator"; new ones
+ * can be added with registerComparator().
+ *
+ * Locale bundles translate the schema with attribute.<key> (the label),
+ * attribute.<key>.<word> (higher, lower, tooHigh, tooLow) and
+ * value.<key>.<value>; anything they leave out is shown as in the schema.
+ */
+
+const Attributes = (function() {
+  const I18nModule = typeof I18n !== 'undefined' ? I18n : require('./i18n.js');
+
+  let schema = [];
+  let unitSystem = 'metric'; // 'metric' or 'imperial'
+
+  /**
+   * Comparators by name. compare() grades a guessed value against the target
+   * value; violation() explains why a candidate contradicts earlier feedback
+   * (used by hard mode), or returns null. Both also get the fish involved as
+   * the last argument ({ guessedFish, targetFish } or { guessedFish, fish }).
+   */
+  const COMPARATORS = {
+    categorical: {
+      compare(def, guessed, target) {
+        return { match: guessed === target ? 'exact' : 'wrong' };
+      },
+      violation(def, feedback, guessed, value) {
+        if (feedback.match === 'exact' && value !== guessed) {
+          return I18nModule.t('violation.is', { label: getLabel(def), value: format(def, guessed) });
+        }
+        return null;
+      }
+    },
+
+    set: {
+      compare(def, guessed, target) {
+        const relation = getSetRelation(toList(guessed), toList(target));
+        return {
+          match: relation === 'exact' ? 'exact' : relation === 'overlapping' ? 'close' : 'wrong',
+          relation
+        };
+      },
+      violation(def, feedback, guessed, value) {
+        const relation = getSetRelation(toList(guessed), toList(value));
+        const shown = format(def, guessed);
+
+        if (feedback.relation === 'exact' && relation !== 'exact') {
+          return I18nModule.t('violation.is', { label: getLabel(def), value: shown });
+        }
+        if (feedback.relation === 'overlapping' && relation !== 'overlapping') {
+          return I18nModule.t('violation.includeSome', { label: getLabel(def), value: shown });
+        }
+        return null;
+      }
+    },
+
+    ordinal: {
+      compare(def, guessed, target) {
+        const diff = def.values.indexOf(guessed) - def.values.indexOf(target);
+        return gradeDifference(diff, 1);
+      },
+      violation(def, feedback, guessed, value) {
+        const diff = def.values.indexOf(value) - def.values.indexOf(guessed);
+        return directionViolation(def, feedback, guessed, value, diff);
+      }
+    },
+
+    numeric: {
+      compare(def, guessed, target) {
+        if (Array.isArray(guessed)) {
+          const result = gradeDifference(midpoint(guessed) - midpoint(target), 0);
+          if (isEqual(guessed, target)) return { match: 'exact' };
+          if (guessed[0] <= target[1] && target[0] <= guessed[1]) {
+            return { ...result, match: 'close', overlap: true };
+          }
+          return { ...result, match: 'wrong' };
+        }
+
+        const percent = def.closePercent || 0;
+        const result = gradeDifference(guessed - target, Math.abs(target) * percent / 100);
+        return result.match === 'close' ? { ...result, within: percent } : result;
+      },
+      violation(def, feedback, guessed, value) {
+        if (feedback.match === 'exact' && !isEqual(value, guessed)) {
+          return I18nModule.t('violation.is', { label: getLabel(def), value: format(def, guessed) });
+        }
+        return directionViolation(def, feedback, guessed, value, midpoint(value) - midpoint(guessed));
+      }
+    },
+
+    hierarchical: {
+      compare(def, guessed, target, { guessedFish, targetFish }) {
+        if (guessed === target) return { match: 'exact' };
+
+        const shared = getSharedRank(def, guessedFish, targetFish);
+        return {
+          match: shared && shared.rank === def.ranks[0] ? 'close' : 'wrong',
+          shared
+        };
+      },
+      violation(def, feedback, guessed, value, { guessedFish, fish }) {
+        if (feedback.match === 'exact' && value !== guessed) {
+          return I18nModule.t('violation.is', { label: getLabel(def), value: format(def, guessed) });
+        }
+        if (feedback.match === 'close') {
+          const rank = def.ranks[0];
+          if (fish.attributes[rank] !== guessedFish.attributes[rank]) {
+            return I18nModule.t('violation.inRank', {
+              label: getLabel(def),
+              rank: I18nModule.t(`rank.${rank}`),
+              value: guessedFish.attributes[rank]
+            });
+          }
+        }
+        return null;
+      }
+    },
+
+    geographic: {
+      compare(def, guessed, target) {
+        const guessedRegions = toList(guessed);
+        const targetRegions = toList(target);
+        const relation = getRegionRelation(def, guessedRegions, targetRegions);
+
+        return {
+          match: relation === 'exact' ? 'exact' : relation === 'none' ? 'wrong' : 'close',
+          relation,
+          compass: relation === 'exact' ? null :
+            getCompass(getRangeCenter(def, guessedRegions), getRangeCenter(def, targetRegions))
+        };
+      },
+      violation(def, feedback, guessed, value) {
+        const guessedRegions = toList(guessed);
+        const relation = getRegionRelation(def, guessedRegions, toList(value));
+        const shown = format(def, guessed);
+
+        if (feedback.relation === 'exact' && relation !== 'exact') {
+          return I18nModule.t('violation.is', { label: getLabel(def), value: shown });
+        }
+        if (feedback.relation === 'overlapping' && relation !== 'exact' && relation !== 'overlapping') {
+          return I18nModule.t('violation.includeOne', { label: getLabel(def), value: shown });
+        }
+        if (feedback.relation === 'adjacent' && relation !== 'adjacent') {
+          return I18nModule.t('violation.border', { label: getLabel(def), value: shown });
+        }
+        return null;
+      }
+    }
+  };
+
+  // Compass points, named by the compass.* strings
+  const COMPASS_POINTS = ['E', 'NE', 'N', 'NW', 'W', 'SW', 'S', 'SE'];
+
+  function toList(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+  }
+
+  /**
+   * How two lists of values relate: 'exact', 'overlapping' or 'none'
+   */
+  function getSetRelation(a, b) {
+    if (isEqual(a, b)) return 'exact';
+    return a.some(value => b.includes(value)) ? 'overlapping' : 'none';
+  }
+
+  /**
+   * How two lists of regions relate: 'exact', 'overlapping', 'adjacent'
+   * or 'none'
+   */
+  function getRegionRelation(def, a, b) {
+    const relation = getSetRelation(a, b);
+    if (relation !== 'none') return relation;
+
+    const bordersB = region => {
+      const info = def.regions[region];
+      return !!info && info.adjacent.some(neighbour => b.includes(neighbour));
+    };
+    return a.some(bordersB) ? 'adjacent' : 'none';
+  }
+
+  /**
+   * Average [lon, lat] of a list of regions, treating longitude as circular
+   */
+  function getRangeCenter(def, regions) {
+    const centers = regions
+      .map(region => def.regions[region] && def.regions[region].center)
+      .filter(Boolean);
+    if (centers.length === 0) return null;
+
+    const toRad = Math.PI / 180;
+    const sum = centers.reduce((acc, [lon, lat]) => ({
+      x: acc.x + Math.cos(lon * toRad),
+      y: acc.y + Math.sin(lon * toRad),
+      lat: acc.lat + lat
+    }), { x: 0, y: 0, lat: 0 });
+
+    return [Math.atan2(sum.y, sum.x) / toRad, sum.lat / centers.length];
+  }
+
+  /**
+   * 8-point compass direction from one [lon, lat] point to another, or null
+   */
+  function getCompass(from, to) {
+    if (!from || !to) return null;
+
+    // Take the shorter way around in longitude
+    let dLon = to[0] - from[0];
+    if (dLon > 180) dLon -= 360;
+    if (dLon < -180) dLon += 360;
+    const dLat = to[1] - from[1];
+    if (Math.abs(dLon) < 1 && Math.abs(dLat) < 1) return null;
+
+    const angle = Math.atan2(dLat, dLon) * 180 / Math.PI;
+    const index = Math.round(((angle + 360) % 360) / 45) % 8;
+    return COMPASS_POINTS[index];
+  }
+
+  // Grade a signed difference: zero is exact, within closeWithin is close
+  function gradeDifference(diff, closeWithin) {
+    return {
+      match: diff === 0 ? 'exact' : Math.abs(diff) <= closeWithin ? 'close' : 'wrong',
+      direction: diff > 0 ? 'down' : diff < 0 ? 'up' : null
+    };
+  }
+
+  // Hard mode check for ordered attributes; diff is candidate minus guessed
+  function directionViolation(def, feedback, guessed, value, diff) {
+    const shown = format(def, guessed);
+
+    if (feedback.match === 'exact' && diff !== 0) {
+      return I18nModule.t('violation.is', { label: getLabel(def), value: shown });
+    }
+    if (feedback.direction === 'up' && diff <= 0) {
+      return I18nModule.t('violation.than', { label: getLabel(def), comparison: getHigher(def), value: shown });
+    }
+    if (feedback.direction === 'down' && diff >= 0) {
+      return I18nModule.t('violation.than', { label: getLabel(def), comparison: getLower(def), value: shown });
+    }
+    return null;
+  }
+
+  // Words for "higher" and "lower", e.g. "bigger" for sizes
+  function getHigher(def) {
+    return getText(def, 'higher') || I18nModule.t('feedback.higher');
+  }
+
+  function getLower(def) {
+    return getText(def, 'lower') || I18nModule.t('feedback.lower');
+  }
+
+  function midpoint(value) {
+    return Array.isArray(value) ? (value[0] + value[1]) / 2 : value;
+  }
+
+  /**
+   * Compare attribute values, including [min, max] ranges and region lists
+   * (in any order)
+   */
+  function isEqual(a, b) {
+    if (Array.isArray(a) && Array.isArray(b)) {
+      return a.length === b.length &&
+        a.every(v => b.includes(v)) && b.every(v => a.includes(v));
+    }
+    return a === b;
+  }
+
+  // Round for display: whole numbers from 100, one decimal from 1,
+  // two significant digits below that
+  function formatNumber(n) {
+    if (Math.abs(n) >= 100) return String(Math.round(n));
+    if (Math.abs(n) >= 1) return String(Math.round(n * 10) / 10);
+    return String(Number(n.toPrecision(2)));
+  }
+
+  // Narrowest rank two fish have in common, or null
+  function getSharedRank(def, a, b) {
+    const rank = def.ranks.find(key =>
+      a.attributes[key] && a.attributes[key] === b.attributes[key]);
+    return rank ? { rank, value: a.attributes[rank] } : null;
+  }
+
+  function getComparator(def) {
+    return COMPARATORS[def.comparator || def.type];
+  }
+
+  /**
+   * Set the attribute schema
+   * @param {Object} data - Contents of data/attributes.json
+   */
+  function setSchema(data) {
+    schema = data.attributes;
+  }
+
+  /**
+   * Attribute definitions in display order
+   */
+  function getSchema() {
+    return schema;
+  }
+
+  function getAttribute(key) {
+    return schema.find(def => def.key === key) || null;
+  }
+
+  // Locale string for a key, or the schema's own text
+  function translate(key, fallback) {
+    return I18nModule.has(key) ? I18nModule.t(key) : fallback;
+  }
+
+  /**
+   * Attribute label in the active locale
+   * @param {Object} def - Attribute definition
+   */
+  function getLabel(def) {
+    return translate(`attribute.${def.key}`, def.label);
+  }
+
+  // One of the schema's comparison words ('higher', 'tooHigh', ...), if any
+  function getText(def, word) {
+    return translate(`attribute.${def.key}.${word}`, def[word]);
+  }
+
+  /**
+   * Name of a single attribute value (a habitat, size, region...) in the
+   * active locale
+   * @param {string} key - Attribute key
+   * @param {string} value - Value as stored on the fish
+   */
+  function formatValue(key, value) {
+    return translate(`value.${key}.${value}`, String(value));
+  }
+
+  /**
+   * Add or replace a comparator
+   * @param {string} name - Name used by an attribute's "comparator" or "type"
+   * @param {Object} comparator - { compare(def, guessed, target, fish),
+   *   violation(def, feedback, guessed, value, fish) }
+   */
+  function registerComparator(name, comparator) {
+    COMPARATORS[name] = comparator;
+  }
+
+  /**
+   * Set the unit system used to display numeric attributes
+   * @param {string} system - 'metric' or 'imperial'
+   */
+  function setUnitSystem(system) {
+    unitSystem = system === 'imperial' ? 'imperial' : 'metric';
+  }
+
+  function getUnitSystem() {
+    return unitSystem;
+  }
+
+  /**
+   * Format an attribute value for display, converting units if needed
+   * @param {Object} def - Attribute definition
+   * @param {*} value - Attribute value
+   * @param {Object} [fish] - Fish the value belongs to, for the "flag"
+   */
+  function format(def, value, fish = null) {
+    if (value === undefined || value === null) return '?';
+    if (!def.units) {
+      const shown = toList(value).map(item => formatValue(def.key, item)).join(', ');
+      const flag = def.flag && fish && fish.attributes[def.flag];
+      return flag ? `${shown} (${formatValue(def.flag, flag)})` : shown;
+    }
+
+    const { unit, factor = 1 } = def.units[unitSystem] || def.units.metric;
+    const convert = n => formatNumber(n * factor);
+    const shown = Array.isArray(value) ?
+      `${convert(value[0])}\u2013${convert(value[1])}` : convert(value);
+    return `${shown} ${unit}`;
+  }
+
+  /**
+   * Compare every attribute of a guessed fish with the target
+   * @returns {Object} { [key]: { value, match, direction } }
+   */
+  function compare(guessedFish, targetFish) {
+    const comparison = {};
+
+    schema.forEach(def => {
+      const guessed = guessedFish.attributes[def.key];
+      const result = getComparator(def).compare(
+        def, guessed, targetFish.attributes[def.key], { guessedFish, targetFish }
+      );
+      comparison[def.key] = { value: guessed, direction: null, ...result };
+    });
+
+    return comparison;
+  }
+
+  /**
+   * Check a candidate fish against the feedback from one guess
+   * @param {Object} comparison - Feedback from compare()
+   * @param {Object} guessedFish - The fish that was guessed
+   * @param {Object} fish - Candidate fish
+   * @returns {string|null} Reason the candidate is ruled out, or null
+   */
+  function getViolation(comparison, guessedFish, fish) {
+    for (const def of schema) {
+      const feedback = comparison[def.key];
+      if (!feedback) continue;
+
+      const violation = getComparator(def).violation(
+        def, feedback, guessedFish.attributes[def.key], fish.attributes[def.key],
+        { guessedFish, fish }
+      );
+      if (violation) return violation;
+    }
+
+    return null;
+  }
+
+  /**
+   * Feedback in words, for screen readers, e.g. "Size: too big"
+   * @param {Object} def - Attribute definition
+   * @param {Object} feedback - Feedback for the attribute from compare()
+   * @returns {string} Description
+   */
+  function describeFeedback(def, feedback) {
+    const describe = details => I18nModule.t('feedback.summary', { label: getLabel(def), details });
+    if (!feedback) return describe(I18nModule.t('feedback.unknown'));
+
+    // "Too big" says enough on its own for a wrong guess
+    const parts = [];
+    if (feedback.match === 'exact') parts.push(I18nModule.t('feedback.correct'));
+    if (feedback.match === 'close') parts.push(I18nModule.t('feedback.close'));
+    if (feedback.match === 'wrong' && !feedback.direction) parts.push(I18nModule.t('feedback.wrong'));
+
+    // Guessed value relative to the target
+    if (feedback.direction === 'down') {
+      parts.push(getText(def, 'tooHigh') || I18nModule.t('feedback.targetIs', { comparison: getLower(def) }));
+    }
+    if (feedback.direction === 'up') {
+      parts.push(getText(def, 'tooLow') || I18nModule.t('feedback.targetIs', { comparison: getHigher(def) }));
+    }
+
+    if (feedback.shared) {
+      parts.push(I18nModule.t('feedback.same', { rank: I18nModule.t(`rank.${feedback.shared.rank}`) }));
+    }
+    if (feedback.overlap || feedback.relation === 'overlapping') parts.push(I18nModule.t('feedback.overlapping'));
+    if (feedback.relation === 'adjacent') parts.push(I18nModule.t('feedback.adjacent'));
+    if (feedback.compass) {
+      parts.push(I18nModule.t('feedback.compass', { direction: I18nModule.t(`compass.${feedback.compass}`) }));
+    }
+
+    return describe(parts.join(', '));
+  }
+
+  return {
+    setSchema,
+    getSchema,
+    getAttribute,
+    getLabel,
+    formatValue,
+    registerComparator,
+    setUnitSystem,
+    getUnitSystem,
+    isEqual,
+    format,
+    compare,
+    getViolation,
+    describeFeedback
+  };
+})();
+
+// Allow the game engine to use this module in Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Attributes;
+}
@@ -1,5 +1,11 @@
 /**
  * Autocomplete module for fish name input
+ * Matches names in the active locale, aliases and scientific names with
+ * accent folding, ranked
+ * from exact matches down to fuzzy matches that allow a few typos. Filter
+ * chips narrow the list by attribute, and with an empty input the list
+ * browses every fish. The input and list follow the ARIA combobox pattern,
+ * with the highlighted option tracked through aria-activedescendant.
  */
 
 const Autocomplete = (function() {
@@ -9,6 +15,21 @@ const Autocomplete = (function() {
   let currentFocus = -1;
   let onSelectCallback = null;
   let guessedFish = new Set();
+  let constraint = null;
+  let filtersElement = null;
+  let filterKeys = [];
+  let filters = {}; // attribute key -> selected value
+
+  // Match ranks, best first
+  const RANK = {
+    exact: 7,
+    prefix: 6,
+    wordPrefix: 5,
+    substring: 4,
+    typo: 3,
+    wordTypo: 2,
+    partial: 1
+  };
 
   function init(input, list, database, onSelect) {
     inputElement = input;
@@ -16,6 +37,13 @@ const Autocomplete = (function() {
     fishDatabase = database;
     onSelectCallback = onSelect;
 
+    if (!listElement.id) listElement.id = 'autocompleteList';
+    inputElement.setAttribute('role', 'combobox');
+    inputElement.setAttribute('aria-autocomplete', 'list');
+    inputElement.setAttribute('aria-controls', listElement.id);
+    inputElement.setAttribute('aria-expanded', 'false');
+    listElement.setAttribute('role', 'listbox');
+
     inputElement.addEventListener('input', handleInput);
     inputElement.addEventListener('keydown', handleKeydown);
     inputElement.addEventListener('focus', handleFocus);
@@ -26,45 +54,306 @@ const Autocomplete = (function() {
     guessedFish = new Set(guessed);
   }
 
-  function handleInput(e) {
-    const value = e.target.value.toLowerCase().trim();
+  /**
+   * Show filter chips for some attributes
+   * @param {HTMLElement} container - Element to render the chips into
+   * @param {Array<string>} keys - Attribute keys to filter on
+   */
+  function setFilters(container, keys) {
+    filtersElement = container;
+    filterKeys = keys.filter(key => Attributes.getAttribute(key));
+    filters = {};
+    renderFilters();
+  }
+
+  // Values a filter can take, in schema order for ordinal attributes
+  function getFilterValues(def) {
+    if (def.values) return def.values;
+    if (def.regions) return Object.keys(def.regions);
+
+    const values = new Set();
+    fishDatabase.forEach(fish => {
+      [].concat(fish.attributes[def.key] ?? []).forEach(value => values.add(value));
+    });
+    return [...values].sort();
+  }
+
+  function renderFilters() {
+    if (!filtersElement) return;
+
+    const chips = filterKeys.map(key => {
+      const def = Attributes.getAttribute(key);
+      const label = Attributes.getLabel(def);
+      const options = getFilterValues(def).map(value =>
+        `<option value="${value}"${filters[key] === value ? ' selected' : ''}>${Attributes.formatValue(key, value)}</option>`
+      ).join('');
+      return `
+        <select class="filter-chip${filters[key] ? ' active' : ''}" data-key="${key}" aria-label="${I18n.t('autocomplete.filterBy', { label })}">
+          <option value="">${label}</option>
+          ${options}
+        </select>
+      `;
+    });
+
+    if (Object.keys(filters).length > 0) {
+      chips.push(`<button type="button" class="filter-chip clear-filters">${I18n.t('autocomplete.clearFilters')}</button>`);
+    }
+    filtersElement.innerHTML = chips.join('');
+
+    filtersElement.querySelectorAll('select.filter-chip').forEach(select => {
+      select.addEventListener('change', () => {
+        if (select.value) {
+          filters[select.dataset.key] = select.value;
+        } else {
+          delete filters[select.dataset.key];
+        }
+        renderFilters();
+        showList();
+      });
+    });
+    const clearButton = filtersElement.querySelector('.clear-filters');
+    if (clearButton) {
+      clearButton.addEventListener('click', () => {
+        filters = {};
+        renderFilters();
+        showList();
+      });
+    }
+  }
+
+  function matchesFilters(fish) {
+    return Object.entries(filters).every(([key, value]) =>
+      [].concat(fish.attributes[key] ?? []).includes(value)
+    );
+  }
+
+  // Short summary of the fish's filterable attributes
+  function describeAttributes(fish) {
+    return filterKeys.map(key => {
+      const def = Attributes.getAttribute(key);
+      return Attributes.format(def, fish.attributes[key], fish);
+    }).join(' \u00B7 ');
+  }
+
+  // Set a check that returns why a fish is not a valid guess (or null)
+  function setConstraint(check) {
+    constraint = check;
+  }
+
+  /**
+   * Lowercase, strip accents and turn punctuation into spaces
+   * @param {string} text
+   * @returns {string} Folded text
+   */
+  function fold(text) {
+    return foldChars(text).replace(/[^a-z0-9]+/g, ' ').trim();
+  }
+
+  // Fold character by character, keeping positions for highlighting
+  function foldChars(text) {
+    return Array.from(text, ch =>
+      ch.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().charAt(0) || ch
+    ).join('');
+  }
+
+  // Typos allowed for a word of this length
+  function getTolerance(length) {
+    if (length <= 3) return 0;
+    if (length <= 7) return 1;
+    return 2;
+  }
+
+  // Edit distance counting swapped neighbours as one edit
+  function editDistance(a, b) {
+    const rows = [];
+    for (let i = 0; i <= a.length; i++) {
+      rows.push([i]);
+      for (let j = 1; j <= b.length; j++) {
+        if (i === 0) {
+          rows[i].push(j);
+          continue;
+        }
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let best = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          best = Math.min(best, rows[i - 2][j - 2] + 1);
+        }
+        rows[i].push(best);
+      }
+    }
+    return rows[a.length][b.length];
+  }
+
+  // Distance from a typed word to a word, or to its start while still typing
+  function wordDistance(typed, word) {
+    const whole = editDistance(typed, word);
+    if (word.length <= typed.length) return whole;
+    return Math.min(whole, editDistance(typed, word.slice(0, typed.length)));
+  }
+
+  /**
+   * Score one name against the folded query
+   * @returns {Object|null} { rank, distance }
+   */
+  function matchText(query, text) {
+    const folded = fold(text);
+    if (!folded) return null;
+
+    if (folded === query) return { rank: RANK.exact, distance: 0 };
+    if (folded.startsWith(query)) return { rank: RANK.prefix, distance: 0 };
+
+    const words = folded.split(' ');
+    if (words.some(word => word.startsWith(query))) return { rank: RANK.wordPrefix, distance: 0 };
+    if (folded.includes(query)) return { rank: RANK.substring, distance: 0 };
+
+    // Whole name with a few typos
+    const distance = editDistance(query, folded);
+    if (distance <= getTolerance(query.length)) return { rank: RANK.typo, distance };
+
+    // Each typed word against the name's words
+    const typedWords = query.split(' ');
+    let matched = 0;
+    let typos = 0;
+    typedWords.forEach(typed => {
+      const best = Math.min(...words.map(word => wordDistance(typed, word)));
+      if (best <= getTolerance(typed.length)) {
+        matched++;
+        typos += best;
+      }
+    });
+
+    if (matched === typedWords.length) return { rank: RANK.wordTypo, distance: typos };
+    if (matched > 0 && typedWords.length > 1) {
+      // Some words match: rank by how many do not
+      return { rank: RANK.partial, distance: typos + (typedWords.length - matched) * 10 };
+    }
+    return null;
+  }
+
+  // Name in the active locale
+  function getName(fish) {
+    return I18n.getFishName(fish);
+  }
+
+  // Aliases are English nicknames, so other locales rely on scientific names
+  function getAliases(fish) {
+    return I18n.getLocale() === I18n.DEFAULT_LOCALE ? fish.aliases || [] : [];
+  }
+
+  /**
+   * Best match of a fish over its name, aliases and scientific name
+   * @returns {Object|null} { fish, rank, distance, field, text }
+   */
+  function matchFish(query, fish) {
+    const fields = [
+      { field: 'name', texts: [getName(fish)] },
+      { field: 'alias', texts: getAliases(fish) },
+      { field: 'scientificName', texts: [fish.scientificName] }
+    ];
+
+    let best = null;
+    fields.forEach(({ field, texts }) => {
+      texts.forEach(text => {
+        const match = matchText(query, text);
+        if (match && (!best || compareMatches(match, best) < 0)) {
+          best = { fish, field, text, ...match };
+        }
+      });
+    });
+    return best;
+  }
+
+  // Better rank first, then fewer typos
+  function compareMatches(a, b) {
+    return (b.rank - a.rank) || (a.distance - b.distance);
+  }
+
+  /**
+   * Fish matching typed text, best first
+   * @param {string} text - Typed text
+   * @param {Array<Object>} [database] - Fish to search, defaults to all fish
+   * @returns {Array<Object>} Matches ({ fish, rank, distance, field, text })
+   */
+  function search(text, database = fishDatabase) {
+    const query = fold(text);
+    if (!query) return [];
+
+    return database
+      .map(fish => matchFish(query, fish))
+      .filter(Boolean)
+      .sort((a, b) => compareMatches(a, b) || getName(a.fish).localeCompare(getName(b.fish)));
+  }
+
+  /**
+   * The fish typed text names: the best match from search(), as long as
+   * every typed word matched and no other fish matches as well
+   * @param {string} text - Typed text
+   * @returns {Object|null} Fish
+   */
+  function findFish(text) {
+    const [best, next] = search(text);
+    if (!best || best.rank < RANK.wordTypo) return null;
+    if (next && compareMatches(best, next) === 0) return null;
+    return best.fish;
+  }
+
+  function handleInput() {
+    showList();
+  }
+
+  /**
+   * Show the fish matching the typed text and filters, or every fish that
+   * passes the filters when nothing is typed
+   */
+  function showList() {
+    const value = inputElement.value.trim();
     closeList();
+    if (inputElement.disabled) return;
 
-    if (!value) return;
+    const candidates = fishDatabase.filter(fish => !guessedFish.has(fish.id) && matchesFilters(fish));
+    const found = value ?
+      search(value, candidates) :
+      candidates.map(fish => ({ fish })).sort((a, b) => getName(a.fish).localeCompare(getName(b.fish)));
 
-    const matches = fishDatabase
-      .filter(fish => {
-        const nameMatch = fish.name.toLowerCase().includes(value);
-        const scientificMatch = fish.scientificName.toLowerCase().includes(value);
-        return (nameMatch || scientificMatch) && !guessedFish.has(fish.id);
-      })
-      .slice(0, 8);
+    const matches = found
+      .map(match => ({ ...match, violation: constraint ? constraint(match.fish) : null }))
+      // Keep candidates consistent with the constraint at the top
+      .sort((a, b) => (a.violation ? 1 : 0) - (b.violation ? 1 : 0));
 
     if (matches.length === 0) return;
 
     listElement.classList.remove('hidden');
+    inputElement.setAttribute('aria-expanded', 'true');
     currentFocus = -1;
+    const query = fold(value);
 
-    matches.forEach((fish, index) => {
+    matches.forEach(({ fish, violation, field, text }, index) => {
       const item = document.createElement('div');
-      item.className = 'autocomplete-item';
+      item.className = violation ? 'autocomplete-item inconsistent' : 'autocomplete-item';
+      item.id = `${listElement.id}-option-${index}`;
+      item.setAttribute('role', 'option');
+      item.setAttribute('aria-selected', 'false');
       item.dataset.index = index;
       item.dataset.fishId = fish.id;
 
       // Highlight matching text
-      const nameHtml = highlightMatch(fish.name, value);
-      const scientificHtml = highlightMatch(fish.scientificName, value);
+      const nameHtml = highlightMatch(getName(fish), query);
+      const scientificHtml = highlightMatch(fish.scientificName, query);
+      const aliasHtml = field === 'alias' ?
+        `<div class="alias">${I18n.t('autocomplete.alias', { alias: highlightMatch(text, query) })}</div>` : '';
 
       item.innerHTML = `
         <div class="fish-name">${nameHtml}</div>
+        ${aliasHtml}
         <div class="scientific-name">${scientificHtml}</div>
+        ${filterKeys.length > 0 ? `<div class="fish-attributes">${describeAttributes(fish)}</div>` : ''}
+        ${violation ? `<div class="violation">\u2717 ${violation}</div>` : ''}
       `;
 
       item.addEventListener('click', () => selectItem(fish));
       item.addEventListener('mouseenter', () => {
-        removeActive();
         currentFocus = index;
-        item.classList.add('active');
+        setActive(listElement.getElementsByClassName('autocomplete-item'));
       });
 
       listElement.appendChild(item);
@@ -72,7 +361,8 @@ const Autocomplete = (function() {
   }
 
   function highlightMatch(text, query) {
-    const index = text.toLowerCase().indexOf(query.toLowerCase());
+    if (!query) return text;
+    const index = foldChars(text).indexOf(query);
     if (index === -1) return text;
 
     const before = text.substring(0, index);
@@ -101,19 +391,22 @@ const Autocomplete = (function() {
         setActive(items);
         break;
 
-      case 'Enter':
-        e.preventDefault();
+      case 'Enter': {
+        // The highlighted fish, else the one the text names, else the only match
+        let fish = null;
         if (currentFocus > -1 && items[currentFocus]) {
-          const fishId = items[currentFocus].dataset.fishId;
-          const fish = fishDatabase.find(f => f.id === fishId);
-          if (fish) selectItem(fish);
-        } else if (items.length === 1) {
-          // Auto-select if only one match
-          const fishId = items[0].dataset.fishId;
-          const fish = fishDatabase.find(f => f.id === fishId);
-          if (fish) selectItem(fish);
+          fish = fishDatabase.find(f => f.id === items[currentFocus].dataset.fishId);
+        } else {
+          fish = findFish(inputElement.value) ||
+            (items.length === 1 ? fishDatabase.find(f => f.id === items[0].dataset.fishId) : null);
+        }
+        // Otherwise let the keypress through, so the guess is still submitted
+        if (fish) {
+          e.preventDefault();
+          selectItem(fish);
         }
         break;
+      }
 
       case 'Escape':
         closeList();
@@ -121,15 +414,14 @@ const Autocomplete = (function() {
     }
   }
 
+  // Focusing the input browses the list, even before typing
   function handleFocus() {
-    const value = inputElement.value.trim();
-    if (value) {
-      handleInput({ target: inputElement });
-    }
+    showList();
   }
 
   function handleClickOutside(e) {
-    if (e.target !== inputElement && !listElement.contains(e.target)) {
+    const inFilters = filtersElement && filtersElement.contains(e.target);
+    if (e.target !== inputElement && !listElement.contains(e.target) && !inFilters) {
       closeList();
     }
   }
@@ -138,17 +430,23 @@ const Autocomplete = (function() {
     removeActive();
     if (currentFocus >= 0 && currentFocus < items.length) {
       items[currentFocus].classList.add('active');
+      items[currentFocus].setAttribute('aria-selected', 'true');
       items[currentFocus].scrollIntoView({ block: 'nearest' });
+      inputElement.setAttribute('aria-activedescendant', items[currentFocus].id);
     }
   }
 
   function removeActive() {
     const items = listElement.getElementsByClassName('autocomplete-item');
-    Array.from(items).forEach(item => item.classList.remove('active'));
+    Array.from(items).forEach(item => {
+      item.classList.remove('active');
+      item.setAttribute('aria-selected', 'false');
+    });
+    inputElement.removeAttribute('aria-activedescendant');
   }
 
   function selectItem(fish) {
-    inputElement.value = fish.name;
+    inputElement.value = getName(fish);
     closeList();
     if (onSelectCallback) {
       onSelectCallback(fish);
@@ -158,6 +456,8 @@ const Autocomplete = (function() {
   function closeList() {
     listElement.innerHTML = '';
     listElement.classList.add('hidden');
+    inputElement.setAttribute('aria-expanded', 'false');
+    inputElement.removeAttribute('aria-activedescendant');
     currentFocus = -1;
   }
 
@@ -178,6 +478,10 @@ const Autocomplete = (function() {
   return {
     init,
     setGuessedFish,
+    setConstraint,
+    setFilters,
+    search,
+    findFish,
     clear,
     disable,
     enable,
@@ -1,9 +1,34 @@
 /**
  * Daily fish selection module
- * Uses seeded random to ensure same fish for everyone worldwide on the same day
+ * Uses a pre-generated schedule (data/schedule.json) so that adding fish to the
+ * database never changes past answers. Days beyond the schedule are drawn from
+ * the same seeded shuffle the generator uses (tools/generate-schedule.js).
+ * Curated picks and themed days in data/overrides.json take precedence.
+ * Each difficulty tier (easy, medium, hard) has its own separately seeded
+ * schedule over the fish of that tier, which skips the classic puzzle's fish
+ * so the tiers never give each other away.
  */
 
 const Daily = (function() {
+  // Seed for the shuffled schedule cycles
+  const SCHEDULE_SEED = 20240101;
+
+  // Seeds for the difficulty tier schedules, far enough apart that the
+  // per-cycle seeds (seed + day index) never collide
+  const TIERS = ['easy', 'medium', 'hard'];
+  const TIER_SEEDS = {
+    easy: SCHEDULE_SEED + 1000000,
+    medium: SCHEDULE_SEED + 2000000,
+    hard: SCHEDULE_SEED + 3000000
+  };
+
+  // Base seed for hint reveal order, clear of the schedule and tier seeds
+  const HINT_SEED = SCHEDULE_SEED + 4000000;
+
+  let schedule = null; // { cycleStart, days, tiers: { easy: { firstGame, days } } }
+  let extendedDays = {};
+  let overrides = [];
+
   // Simple seeded random number generator (mulberry32)
   function seededRandom(seed) {
     return function() {
@@ -16,52 +41,272 @@ const Daily = (function() {
 
   // Convert date to numeric seed (YYYYMMDD format)
   function dateToSeed(date) {
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
+    const year = date.getUTCFullYear();
+    const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+    const day = String(date.getUTCDate()).padStart(2, '0');
     return parseInt(`${year}${month}${day}`, 10);
   }
 
+  // Seeded Fisher-Yates shuffle
+  function seededShuffle(items, seed) {
+    const rng = seededRandom(seed);
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = Math.floor(rng() * (i + 1));
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  }
+
+  // Original per-day pick, an index into the database order. Only used for
+  // days scheduled before the shuffled cycles existed.
+  function getLegacyIndex(date, count) {
+    const rng = seededRandom(dateToSeed(date));
+    return Math.floor(rng() * count);
+  }
+
+  /**
+   * Extend a list of scheduled fish ids to the given length.
+   * Existing days are kept as-is. New days come from seeded shuffles of the
+   * pool, so no fish repeats until every fish has been used once. Fish that
+   * are not yet used in the current cycle (including newly added ones) fill
+   * the rest of it.
+   * @param {Array<string>} days - Already scheduled fish ids
+   * @param {Array<string>} fishIds - All fish ids in the database
+   * @param {number} length - Number of days wanted
+   * @param {number} [cycleStart] - Index of the first shuffled day
+   * @param {number} [seed] - Base seed for the shuffles
+   * @param {Function} [avoid] - Fish id to keep off a day, given its index
+   * @returns {Array<string>} Scheduled fish ids
+   */
+  function extendSchedule(days, fishIds, length, cycleStart = 0, seed = SCHEDULE_SEED, avoid = null) {
+    const pool = [...fishIds].sort();
+    const result = days.slice();
+    let used = new Set();
+
+    // Work out which fish the current cycle has already used
+    for (let i = cycleStart; i < result.length; i++) {
+      used.add(result[i]);
+      if (pool.every(id => used.has(id))) {
+        used = new Set();
+      }
+    }
+
+    while (result.length < length && pool.length > 0) {
+      const remaining = pool.filter(id => !used.has(id));
+      const cycle = seededShuffle(remaining, seed + result.length);
+
+      for (let i = 0; i < cycle.length && result.length < length; i++) {
+        const day = result.length;
+        // Swap an avoided fish with the next one in the cycle, or for the
+        // last one, with the newly scheduled day before it
+        if (avoid && cycle[i] === avoid(day)) {
+          if (i + 1 < cycle.length) {
+            [cycle[i], cycle[i + 1]] = [cycle[i + 1], cycle[i]];
+          } else if (day > days.length && result[day - 1] !== avoid(day) && cycle[i] !== avoid(day - 1)) {
+            [cycle[i], result[day - 1]] = [result[day - 1], cycle[i]];
+          }
+        }
+        result.push(cycle[i]);
+      }
+      used = new Set();
+    }
+
+    return result;
+  }
+
+  // Set the schedule loaded from data/schedule.json
+  function setSchedule(data) {
+    schedule = data;
+    extendedDays = {};
+  }
+
+  // Set the curated overrides loaded from data/overrides.json
+  function setOverrides(list) {
+    overrides = list || [];
+  }
+
+  /**
+   * Find the curated override for a game number.
+   * Entries match by `gameNumber`, `date` or a `start`/`end` date range. A
+   * `fish` array is spread over the days of the entry, one fish per day.
+   * @param {number} gameNumber - Game number
+   * @returns {Object|null} { fishId, theme } or null
+   */
+  function getOverride(gameNumber) {
+    const dateKey = getDateKey(getDateForGameNumber(gameNumber));
+
+    for (const entry of overrides) {
+      let offset = null;
+
+      if (entry.gameNumber === gameNumber || entry.date === dateKey) {
+        offset = 0;
+      } else if (entry.start && entry.end && dateKey >= entry.start && dateKey <= entry.end) {
+        offset = gameNumber - getGameNumber(parseDateKey(entry.start));
+      }
+
+      if (offset !== null) {
+        const fish = Array.isArray(entry.fish) ? entry.fish[offset % entry.fish.length] : entry.fish;
+        return {
+          fishId: fish || null,
+          theme: entry.theme || null
+        };
+      }
+    }
+
+    return null;
+  }
+
+  // Fish of the classic puzzle, curated overrides included
+  function getClassicFishId(fishDatabase, gameNumber) {
+    const override = getOverride(gameNumber);
+    return (override && override.fishId) || getScheduledFishId(fishDatabase, gameNumber);
+  }
+
+  /**
+   * Get the scheduled fish id for a game number
+   * @param {Array<Object>} fishDatabase - All fish
+   * @param {number} gameNumber - Game number
+   * @param {string} [tier] - Difficulty tier, or null for the main schedule
+   * @returns {string} Fish id
+   */
+  function getScheduledFishId(fishDatabase, gameNumber, tier = null) {
+    let entry = tier ? schedule && schedule.tiers && schedule.tiers[tier] : schedule;
+    const pool = tier ? fishDatabase.filter(f => f.difficulty === tier) : fishDatabase;
+
+    // Tier schedules only start at the game they were introduced
+    if (entry && gameNumber < (entry.firstGame || 1)) {
+      entry = null;
+    }
+
+    const firstGame = entry ? entry.firstGame || 1 : 1;
+    const days = entry ? entry.days : [];
+    const index = gameNumber - firstGame;
+
+    if (index < days.length) {
+      return days[index];
+    }
+
+    const cacheKey = `${tier || 'main'}-${firstGame}`;
+    if (!extendedDays[cacheKey] || extendedDays[cacheKey].length <= index) {
+      extendedDays[cacheKey] = extendSchedule(
+        days,
+        pool.map(f => f.id),
+        index + 1,
+        entry ? entry.cycleStart || 0 : 0,
+        tier ? TIER_SEEDS[tier] : SCHEDULE_SEED,
+        tier ? i => getClassicFishId(fishDatabase, firstGame + i) : null
+      );
+    }
+
+    return extendedDays[cacheKey][index];
+  }
+
   // Get today's date in UTC to ensure consistency across timezones
   function getTodayUTC() {
     const now = new Date();
     return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
   }
 
+  const LAUNCH_DATE = new Date(Date.UTC(2024, 0, 1)); // January 1, 2024
+  const DAY_MS = 1000 * 60 * 60 * 24;
+
   // Calculate game number (days since launch)
   function getGameNumber(date) {
-    const launchDate = new Date(Date.UTC(2024, 0, 1)); // January 1, 2024
-    const diffTime = date.getTime() - launchDate.getTime();
-    const diffDays = Math.floor(diffTime / (1000 * 60 * 60 * 24));
+    const diffTime = date.getTime() - LAUNCH_DATE.getTime();
+    const diffDays = Math.floor(diffTime / DAY_MS);
     return diffDays + 1;
   }
 
-  // Get the daily fish from the database
-  function getDailyFish(fishDatabase, date = null) {
+  // Get the UTC date for a game number (inverse of getGameNumber)
+  function getDateForGameNumber(gameNumber) {
+    return new Date(LAUNCH_DATE.getTime() + (gameNumber - 1) * DAY_MS);
+  }
+
+  // Parse a YYYY-MM-DD storage key into a UTC date
+  function parseDateKey(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+  }
+
+  // Format a date as a YYYY-MM-DD storage key
+  function getDateKey(date) {
+    return date.toISOString().split('T')[0];
+  }
+
+  // Pick for a scheduled fish missing from the database. Tiers draw from
+  // their own pool and seed, so they do not all fall back to the classic fish.
+  function getFallbackFish(fishDatabase, date, tier) {
+    const pool = tier ? fishDatabase.filter(f => f.difficulty === tier) : [];
+    if (pool.length === 0) {
+      return fishDatabase[getLegacyIndex(date, fishDatabase.length)];
+    }
+
+    const rng = seededRandom(TIER_SEEDS[tier] + dateToSeed(date));
+    return pool[Math.floor(rng() * pool.length)];
+  }
+
+  // Get the daily fish from the database, optionally for a difficulty tier.
+  // Curated overrides only apply to the main (untiered) puzzle.
+  function getDailyFish(fishDatabase, date = null, tier = null) {
     if (!date) {
       date = getTodayUTC();
     }
 
-    const seed = dateToSeed(date);
-    const rng = seededRandom(seed);
-    const index = Math.floor(rng() * fishDatabase.length);
+    const gameNumber = getGameNumber(date);
+    const override = tier ? null : getOverride(gameNumber);
+    const fishId = (override && override.fishId) ||
+      getScheduledFishId(fishDatabase, gameNumber, tier);
+    const fish = fishDatabase.find(f => f.id === fishId) ||
+      getFallbackFish(fishDatabase, date, tier);
 
     return {
-      fish: fishDatabase[index],
-      gameNumber: getGameNumber(date),
-      date: date.toISOString().split('T')[0]
+      fish,
+      gameNumber,
+      date: getDateKey(date),
+      theme: override ? override.theme : null,
+      tier
     };
   }
 
+  /**
+   * Seed for the hint reveal order of a daily puzzle, so every player of
+   * the same puzzle gets the same hints
+   * @param {number} gameNumber - Game number
+   * @param {string|null} [tier] - Difficulty tier, or null for the classic puzzle
+   * @returns {number} Seed
+   */
+  function getHintSeed(gameNumber, tier = null) {
+    const tierOffset = tier ? (TIERS.indexOf(tier) + 1) * 100000 : 0;
+    return HINT_SEED + tierOffset + gameNumber;
+  }
+
   // Get a consistent date string for storage keys
   function getTodayKey() {
-    return getTodayUTC().toISOString().split('T')[0];
+    return getDateKey(getTodayUTC());
   }
 
   return {
     getDailyFish,
+    setSchedule,
+    setOverrides,
+    getOverride,
+    extendSchedule,
+    getLegacyIndex,
+    getHintSeed,
+    seededShuffle,
+    TIERS,
+    TIER_SEEDS,
     getGameNumber,
+    getDateForGameNumber,
+    getDateKey,
+    parseDateKey,
     getTodayKey,
     getTodayUTC
   };
 })();
+
+// Allow the schedule tools in tools/ to share this module
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Daily;
+}
@@ -0,0 +1,469 @@
+/**
+ * Game engine for Fishdle
+ * Holds the rules and state of a single game with no DOM access, so a game
+ * can be played, scripted or tested outside the browser:
+ *
+ *   Attributes.setSchema(attributeSchema);
+ *   const engine = Engine.create(fishDatabase);
+ *   engine.newGame(targetFish);
+ *   engine.guess('koi');
+ *   engine.useHint('letter');
+ *   const saved = engine.serialize();
+ *   engine.restore(saved);
+ */
+
+const Engine = (function() {
+  const AttributesModule = typeof Attributes !== 'undefined' ? Attributes : require('./attributes.js');
+  const HintsModule = typeof Hints !== 'undefined' ? Hints : require('./hints.js');
+  const ScoringModule = typeof Scoring !== 'undefined' ? Scoring : require('./scoring.js');
+  const I18nModule = typeof I18n !== 'undefined' ? I18n : require('./i18n.js');
+
+  const DEFAULT_MAX_GUESSES = 10;
+
+  /**
+   * Compare attributes between guessed fish and target
+   */
+  function compareAttributes(guessed, target) {
+    return AttributesModule.compare(guessed, target);
+  }
+
+  // Known scoring mode, or the default
+  function getScoringMode(mode) {
+    return ScoringModule.isMode(mode) ? mode : ScoringModule.DEFAULT_MODE;
+  }
+
+  /**
+   * Time actually spent playing: finished sessions plus the one in progress
+   */
+  function getElapsedMs(state) {
+    return state.activeMs + (state.resumedAt ? Date.now() - state.resumedAt : 0);
+  }
+
+  /**
+   * Calculate the score for a game state
+   */
+  function calculateScore(state) {
+    return ScoringModule.calculate({
+      mode: state.scoringMode,
+      fish: state.target,
+      guesses: state.guesses.length,
+      hintPenalty: HintsModule.getHintPenalty(state),
+      elapsedMs: getElapsedMs(state),
+      lost: state.gameOver && !state.won
+    });
+  }
+
+  /**
+   * Check a candidate against the feedback so far (hard mode)
+   * @param {Object} state - Game state
+   * @param {Object} fish - Candidate fish
+   * @returns {string|null} Reason the guess is not allowed, or null
+   */
+  function getHardModeViolation(state, fish) {
+    for (const guess of state.guesses) {
+      const violation = AttributesModule.getViolation(guess.comparison, guess.fish, fish);
+      if (violation) return violation;
+    }
+
+    // Attributes revealed by hints count as exact matches
+    for (const revealed of HintsModule.getRevealedAttributesList(state)) {
+      if (!AttributesModule.isEqual(fish.attributes[revealed.attribute], revealed.value)) {
+        return I18nModule.t('violation.is', { label: revealed.label, value: revealed.display });
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether a fish, had it been the target, would have produced exactly the
+   * feedback so far and matches every attribute revealed by hints
+   * @param {Object} state - Game state
+   * @param {Object} fish - Candidate fish
+   */
+  function fitsFeedback(state, fish) {
+    // Comparisons come from the same compare() call, so their JSON matches
+    // exactly when the feedback does
+    const fitsGuesses = state.guesses.every(guess =>
+      JSON.stringify(compareAttributes(guess.fish, fish)) === JSON.stringify(guess.comparison)
+    );
+    return fitsGuesses && HintsModule.getRevealedAttributesList(state).every(revealed =>
+      AttributesModule.isEqual(fish.attributes[revealed.attribute], revealed.value)
+    );
+  }
+
+  /**
+   * Create an engine for a fish database
+   * @param {Array<Object>} fishDatabase - All fish
+   * @param {Object} [options] - { maxGuesses }
+   * @returns {Object} Engine instance
+   */
+  function create(fishDatabase, options = {}) {
+    const maxGuesses = options.maxGuesses || DEFAULT_MAX_GUESSES;
+    let state = null;
+
+    function findFish(id) {
+      return fishDatabase.find(f => f.id === id) || null;
+    }
+
+    /**
+     * Start a new game
+     * @param {Object} fish - Target fish
+     * @param {Object} [gameOptions] - { hardMode, hintSeed, letterPattern,
+     *   scoringMode, stagedReveal }
+     * @returns {Object} Game state
+     */
+    function newGame(fish, gameOptions = {}) {
+      state = {
+        target: fish,
+        guesses: [],
+        hints: HintsModule.createState(fish, {
+          seed: gameOptions.hintSeed,
+          letterPattern: gameOptions.letterPattern
+        }),
+        hardMode: !!gameOptions.hardMode,
+        scoringMode: getScoringMode(gameOptions.scoringMode),
+        // Whether the silhouette is revealed in stages
+        stagedReveal: !!gameOptions.stagedReveal,
+        // Silhouette reveal stage, advanced by wrong guesses and hints
+        revealStage: 0,
+        startedAt: Date.now(),
+        finishedAt: null,
+        // Play time, paused while the game is not on screen
+        activeMs: 0,
+        resumedAt: Date.now(),
+        gameOver: false,
+        won: false
+      };
+      return state;
+    }
+
+    /**
+     * Guess a fish
+     * @param {string} id - Fish id
+     * @returns {Object} { guess } on success, { error, message } otherwise.
+     *   error is one of 'game-over', 'unknown-fish', 'already-guessed' or
+     *   'hard-mode'.
+     */
+    function guess(id) {
+      if (!state || state.gameOver) {
+        return { error: 'game-over' };
+      }
+
+      const fish = findFish(id);
+      if (!fish) {
+        return { error: 'unknown-fish' };
+      }
+
+      if (state.guesses.some(g => g.fish.id === fish.id)) {
+        return { error: 'already-guessed' };
+      }
+
+      if (state.hardMode) {
+        const violation = getHardModeViolation(state, fish);
+        if (violation) {
+          return { error: 'hard-mode', message: violation };
+        }
+      }
+
+      const entry = {
+        fish,
+        comparison: compareAttributes(fish, state.target),
+        correct: fish.id === state.target.id
+      };
+      state.guesses.push(entry);
+      if (!entry.correct) {
+        state.revealStage++;
+      }
+
+      if (entry.correct) {
+        finish(true);
+      } else if (state.guesses.length >= maxGuesses) {
+        finish(false);
+      }
+
+      return { guess: entry };
+    }
+
+    /**
+     * Use a hint
+     * @param {string} type - 'letter', 'position', 'wordStarts', 'attribute',
+     *   'fact', 'genus' or 'candidates'
+     * @param {number} [position] - Name position for 'position' hints
+     * @returns {Object|null} Hint result, or null if unavailable
+     */
+    function useHint(type, position) {
+      if (!canUseHint(type, position)) return null;
+
+      const result = revealHint(type, position);
+      if (result) {
+        state.revealStage++;
+      }
+      return result;
+    }
+
+    function revealHint(type, position) {
+      if (type === 'letter') return HintsModule.revealLetter(state);
+      if (type === 'position') return HintsModule.revealLetterAt(state, position);
+      if (type === 'wordStarts') return HintsModule.revealWordStarts(state);
+      if (type === 'attribute') return HintsModule.revealAttribute(state);
+      if (type === 'fact') return HintsModule.revealFact(state);
+      if (type === 'genus') return HintsModule.revealGenus(state);
+      if (type === 'candidates') return HintsModule.revealCandidates(state, countCandidates());
+      return null;
+    }
+
+    /**
+     * Check if a hint is available
+     * @param {string} type - Hint type, as for useHint
+     * @param {number} [position] - Name position; without one a 'position'
+     *   hint is available while any letter is hidden
+     */
+    function canUseHint(type, position) {
+      if (!state || state.gameOver) return false;
+
+      if (type === 'letter') return HintsModule.canRevealLetter(state);
+      if (type === 'position') {
+        return position === undefined ?
+          HintsModule.canRevealLetter(state) : HintsModule.canRevealLetterAt(state, position);
+      }
+      if (type === 'wordStarts') return HintsModule.canRevealWordStarts(state);
+      if (type === 'attribute') return HintsModule.canRevealAttribute(state);
+      if (type === 'fact') return HintsModule.canRevealFact(state);
+      if (type === 'genus') return HintsModule.canRevealGenus(state);
+      if (type === 'candidates') return HintsModule.canRevealCandidates(state);
+      return false;
+    }
+
+    // Cost of the next hint of a type
+    function getHintCost(type) {
+      return HintsModule.getHintCost(state, type);
+    }
+
+    /**
+     * Count the unguessed fish that still fit all feedback and revealed
+     * attributes
+     */
+    function countCandidates() {
+      const guessedIds = state.guesses.map(g => g.fish.id);
+      return fishDatabase.filter(fish =>
+        !guessedIds.includes(fish.id) && fitsFeedback(state, fish)
+      ).length;
+    }
+
+    /**
+     * End the game as a loss
+     * @returns {boolean} Whether the game was ended
+     */
+    function giveUp() {
+      if (!state || state.gameOver) return false;
+      finish(false);
+      return true;
+    }
+
+    /**
+     * Turn hard mode on or off (only before the first guess)
+     * @returns {boolean} Whether the change was applied
+     */
+    function setHardMode(enabled) {
+      if (!state || state.guesses.length > 0 || state.gameOver) return false;
+      state.hardMode = !!enabled;
+      return true;
+    }
+
+    /**
+     * Switch letter reveal mode ('seeded' or 'pattern'), only before any
+     * letter has been revealed
+     */
+    function setLetterPattern(letterPattern) {
+      if (!state || state.gameOver) return false;
+      return HintsModule.setLetterPattern(state, letterPattern);
+    }
+
+    /**
+     * Change the scoring mode (only before the first guess or hint)
+     * @returns {boolean} Whether the change was applied
+     */
+    function setScoringMode(mode) {
+      if (!state || state.guesses.length > 0 || state.gameOver || hasUsedHints()) return false;
+      state.scoringMode = getScoringMode(mode);
+      return true;
+    }
+
+    /**
+     * Turn the staged silhouette on or off (only before any guess or hint,
+     * since both widen the silhouette)
+     * @returns {boolean} Whether the change was applied
+     */
+    function setStagedReveal(enabled) {
+      if (!state || state.guesses.length > 0 || state.gameOver || hasUsedHints()) return false;
+      state.stagedReveal = !!enabled;
+      return true;
+    }
+
+    function hasUsedHints() {
+      return Object.values(HintsModule.getHintCounts(state)).some(count => count > 0);
+    }
+
+    /**
+     * Whether the game has guesses or hints that starting over would lose
+     */
+    function isInProgress() {
+      return !!state && !state.gameOver && (state.guesses.length > 0 || hasUsedHints());
+    }
+
+    /**
+     * Stop the play clock, e.g. while the page is hidden
+     */
+    function pause() {
+      if (!state || !state.resumedAt) return;
+      state.activeMs = getElapsedMs(state);
+      state.resumedAt = null;
+    }
+
+    // Restart the play clock
+    function resume() {
+      if (!state || state.gameOver || state.resumedAt) return;
+      state.resumedAt = Date.now();
+    }
+
+    function finish(didWin) {
+      pause();
+      state.gameOver = true;
+      state.won = didWin;
+      state.finishedAt = Date.now();
+    }
+
+    /**
+     * Get the feedback a fish contradicts, whether or not hard mode is on
+     */
+    function checkConsistency(fish) {
+      if (!state) return null;
+      return getHardModeViolation(state, fish);
+    }
+
+    /**
+     * Plain object for saving
+     */
+    function serialize() {
+      return {
+        targetId: state.target.id,
+        guesses: state.guesses.map(g => ({
+          fishId: g.fish.id,
+          comparison: g.comparison,
+          correct: g.correct
+        })),
+        hints: HintsModule.getState(state),
+        hardMode: state.hardMode,
+        scoringMode: state.scoringMode,
+        stagedReveal: state.stagedReveal,
+        revealStage: state.revealStage,
+        startedAt: state.startedAt,
+        finishedAt: state.finishedAt,
+        activeMs: getElapsedMs(state),
+        gameOver: state.gameOver,
+        won: state.won
+      };
+    }
+
+    /**
+     * Restore a game from serialize() output
+     * @param {Object} saved - Saved game
+     * @param {Object} [fish] - Target fish, if the save does not name one
+     * @returns {Object} Game state
+     */
+    function restore(saved, fish = null) {
+      const target = fish || findFish(saved.targetId) || (state && state.target);
+      // Saves without a stored reveal order keep the one of the game in progress
+      const hintFallback = state && state.target === target ?
+        state.hints : HintsModule.createState(target);
+
+      state = {
+        target,
+        // Feedback is recomputed so old saves follow changes to the schema
+        guesses: saved.guesses
+          .map(g => findFish(g.fishId))
+          .filter(Boolean)
+          .map(guessed => ({
+            fish: guessed,
+            comparison: compareAttributes(guessed, target),
+            correct: guessed.id === target.id
+          })),
+        hints: HintsModule.loadState(saved.hints, hintFallback),
+        hardMode: !!saved.hardMode,
+        scoringMode: getScoringMode(saved.scoringMode),
+        stagedReveal: !!saved.stagedReveal,
+        revealStage: 0,
+        startedAt: saved.startedAt || Date.now(),
+        finishedAt: saved.finishedAt || null,
+        activeMs: 0,
+        resumedAt: saved.gameOver ? null : Date.now(),
+        gameOver: !!saved.gameOver,
+        won: !!saved.won
+      };
+
+      // Older saves only know wall-clock times, which are fair for finished
+      // games but not for ones left open
+      if (Number.isFinite(saved.activeMs)) {
+        state.activeMs = saved.activeMs;
+      } else if (state.finishedAt) {
+        state.activeMs = state.finishedAt - state.startedAt;
+      }
+
+      // Older saves: one stage per wrong guess and hint used
+      state.revealStage = Number.isInteger(saved.revealStage) ? saved.revealStage :
+        state.guesses.filter(g => !g.correct).length +
+        Object.values(HintsModule.getHintCounts(state)).reduce((sum, count) => sum + count, 0);
+
+      // The save may come from another locale
+      HintsModule.localizeName(state);
+
+      return state;
+    }
+
+    /**
+     * Show the name blanks in the active locale, e.g. after switching language
+     * @returns {boolean} Whether the name changed
+     */
+    function localizeName() {
+      return !!state && HintsModule.localizeName(state);
+    }
+
+    return {
+      newGame,
+      guess,
+      useHint,
+      canUseHint,
+      giveUp,
+      pause,
+      resume,
+      setHardMode,
+      setLetterPattern,
+      setScoringMode,
+      setStagedReveal,
+      isInProgress,
+      checkConsistency,
+      getHintCost,
+      serialize,
+      restore,
+      localizeName,
+      getState: () => state,
+      getScore: () => calculateScore(state),
+      getMaxScore: () => ScoringModule.getMaxScore(state.scoringMode, state.target),
+      getGuessesRemaining: () => maxGuesses - state.guesses.length,
+      maxGuesses
+    };
+  }
+
+  return {
+    create,
+    compareAttributes,
+    calculateScore,
+    getHardModeViolation
+  };
+})();
+
+// Allow the engine to run in Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Engine;
+}
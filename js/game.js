@@ -3,40 +3,79 @@
  */
 
 const Game = (function() {
-  // Constants
-  const BASE_SCORE = 100;
-  const GUESS_PENALTY = 5;
-  const MIN_SCORE = 10;
-
-  const SIZE_ORDER = ['tiny', 'small', 'medium', 'large', 'giant'];
-  const OCEAN_GROUPS = {
-    'Atlantic': ['Atlantic', 'Arctic'],
-    'Pacific': ['Pacific', 'Indian'],
-    'Arctic': ['Atlantic', 'Arctic'],
-    'Indian': ['Pacific', 'Indian'],
-    'Freshwater Americas': ['Freshwater Americas'],
-    'Freshwater Europe/Asia': ['Freshwater Europe/Asia']
-  };
+  // Game rules and per-game state live in the engine; this module renders
+  // them and handles persistence, stats and game modes
+  let engine = null;
 
   // Game state
   let fishDatabase = [];
-  let targetFish = null;
+  let mode = 'daily'; // 'daily', 'archive' or 'practice'
+  let practiceDifficulty = '';
+  let tier = null; // Daily difficulty tier, or null for the classic puzzle
   let gameNumber = 0;
-  let guesses = [];
-  let gameOver = false;
-  let won = false;
+  let gameDate = null;
+  let gameTheme = null;
   let selectedFish = null;
 
+  // Player settings
+  let settings = {
+    hardMode: false,
+    units: 'metric',
+    letterPattern: 'seeded',
+    scoringMode: Scoring.DEFAULT_MODE,
+    highContrast: false,
+    stagedSilhouette: false,
+    locale: null // Browser language until the player picks one
+  };
+
+  // Arrows pointing toward the target's range
+  const COMPASS_ARROWS = {
+    N: '\u2191',
+    NE: '\u2197',
+    E: '\u2192',
+    SE: '\u2198',
+    S: '\u2193',
+    SW: '\u2199',
+    W: '\u2190',
+    NW: '\u2196'
+  };
+
   // DOM elements
   let elements = {};
 
-  // Player stats
-  let stats = {
+  // Player stats for the active daily puzzle (classic or tier)
+  const DEFAULT_STATS = {
     gamesPlayed: 0,
     wins: 0,
     currentStreak: 0,
-    maxStreak: 0
+    maxStreak: 0,
+    currentStreakStart: null,
+    lastGameNumber: null,
+    lastPlayedDate: null,
+    streakHistory: []
   };
+  let stats = { ...DEFAULT_STATS, streakHistory: [] };
+
+  // Number of past streaks kept in stats.streakHistory
+  const STREAK_HISTORY_LIMIT = 10;
+
+  // How often a timed score counts down on screen
+  const SCORE_TICK_MS = 1000;
+
+  // Archive and practice games are tracked separately and never touch the streak
+  const MODE_STATS_KEYS = {
+    archive: 'fishdle-archive-stats',
+    practice: 'fishdle-practice-stats'
+  };
+  let modeStats = {
+    archive: { gamesPlayed: 0, wins: 0 },
+    practice: { gamesPlayed: 0, wins: 0 }
+  };
+
+  const PRACTICE_KEY = 'fishdle-practice';
+
+  // Attributes offered as autocomplete filter chips
+  const FILTER_KEYS = ['habitat', 'size', 'family', 'region'];
 
   /**
    * Initialize the game
@@ -44,19 +83,21 @@ const Game = (function() {
   async function init() {
     cacheElements();
     await loadFishDatabase();
+    await loadAttributeSchema();
+    await loadSchedule();
     loadStats();
+    loadSettings();
+    await loadLocale(settings.locale || I18n.detectLocale());
+    Attributes.setUnitSystem(settings.units);
+    applyContrast();
 
-    const todayKey = Daily.getTodayKey();
-    const savedGame = loadGameState(todayKey);
-
-    const dailyData = Daily.getDailyFish(fishDatabase);
-    targetFish = dailyData.fish;
-    gameNumber = dailyData.gameNumber;
+    engine = Engine.create(fishDatabase);
 
-    elements.gameNumber.textContent = `#${gameNumber}`;
+    // Initialize stats dashboard
+    Stats.init(elements.statsModal, elements.statsContent, fishDatabase, engine.maxGuesses);
 
-    // Initialize hints
-    Hints.init(targetFish, updateHintsDisplay);
+    // Initialize archive browser
+    Archive.init(elements.archiveModal, elements.archiveList, openArchiveGame);
 
     // Initialize autocomplete
     Autocomplete.init(
@@ -65,8 +106,69 @@ const Game = (function() {
       fishDatabase,
       handleFishSelect
     );
+    // Mark candidates that contradict the feedback so far
+    Autocomplete.setConstraint(engine.checkConsistency);
+    Autocomplete.setFilters(elements.autocompleteFilters, FILTER_KEYS);
+
+    bindEvents();
+    updateUnitsButton();
+    renderScoringModes();
+    renderLocales();
+
+    await startGame('daily');
+  }
+
+  /**
+   * Start (or resume) a game
+   * @param {string} newMode - 'daily', 'archive' or 'practice'
+   * @param {Date} [date] - Puzzle date, defaults to today (ignored in practice)
+   */
+  async function startGame(newMode, date = null) {
+    mode = newMode;
+
+    let savedGame;
+    let targetFish;
+    // Daily and archive puzzles reveal hints in the same order for everyone
+    let hintSeed = null;
+    if (mode === 'practice') {
+      savedGame = loadGameState();
+      const savedFish = savedGame && fishDatabase.find(f => f.id === savedGame.targetId);
+      if (savedGame && !savedFish) savedGame = null;
+
+      practiceDifficulty = savedGame ? savedGame.difficulty || '' : practiceDifficulty;
+      targetFish = savedFish || pickPracticeFish(practiceDifficulty);
+      gameNumber = null;
+      gameDate = null;
+      gameTheme = null;
+    } else {
+      const dailyData = Daily.getDailyFish(fishDatabase, date, mode === 'daily' ? tier : null);
+      targetFish = dailyData.fish;
+      gameNumber = dailyData.gameNumber;
+      gameDate = dailyData.date;
+      gameTheme = dailyData.theme;
+      hintSeed = Daily.getHintSeed(gameNumber, dailyData.tier);
+    }
+
+    if (mode === 'daily') {
+      checkStreakExpired();
+    }
+
+    resetGame(targetFish, hintSeed);
+
+    updateGameLabel();
+    elements.gameTheme.textContent = gameTheme || '';
+    elements.gameTheme.classList.toggle('hidden', !gameTheme);
+    elements.todayBtn.classList.toggle('hidden', mode === 'daily');
+    elements.tierTabs.forEach(tab => {
+      tab.classList.toggle('active', mode === 'daily' && (tab.dataset.tier || null) === tier);
+    });
+    elements.practiceBar.classList.toggle('hidden', mode !== 'practice');
+    elements.practiceDifficulty.value = practiceDifficulty;
 
     // Restore saved state if exists
+    if (mode !== 'practice') {
+      savedGame = loadGameState();
+    }
     if (savedGame) {
       await restoreGameState(savedGame);
     } else {
@@ -75,32 +177,138 @@ const Game = (function() {
       updateNameBlanks();
       updateScore();
     }
+    // A puzzle opened in a background tab waits for the player
+    if (document.hidden) {
+      engine.pause();
+    }
 
-    bindEvents();
     renderGuessHistory();
     updateHintsDisplay();
+    updateHardModeToggle();
 
-    if (gameOver) {
+    if (engine.getState().gameOver) {
       disableInput();
     }
   }
 
+  /**
+   * Show the puzzle number, or the practice label
+   */
+  function updateGameLabel() {
+    if (mode === 'practice') {
+      elements.gameNumber.textContent = I18n.t('game.practice');
+    } else if (mode === 'archive') {
+      elements.gameNumber.textContent = I18n.t('game.archive', { number: gameNumber, date: gameDate });
+    } else {
+      elements.gameNumber.textContent = tier ?
+        `#${gameNumber} (${I18n.t(`tier.${tier}`)})` : `#${gameNumber}`;
+    }
+  }
+
+  /**
+   * Start a fresh engine game and re-enable input
+   * @param {Object} targetFish - Fish to guess
+   * @param {number} [hintSeed] - Seed for the hint reveal order
+   */
+  function resetGame(targetFish, hintSeed = null) {
+    engine.newGame(targetFish, {
+      hardMode: settings.hardMode,
+      hintSeed,
+      letterPattern: settings.letterPattern,
+      scoringMode: settings.scoringMode,
+      stagedReveal: settings.stagedSilhouette
+    });
+    selectedFish = null;
+
+    Autocomplete.setGuessedFish([]);
+    Autocomplete.enable();
+    Autocomplete.clear();
+    hideGuessMessage();
+
+    elements.submitGuess.disabled = false;
+    elements.giveUpBtn.disabled = false;
+    elements.silhouette.classList.remove('revealed');
+    elements.resultModal.classList.add('hidden');
+  }
+
+  /**
+   * Pick a random fish for practice, optionally limited to one difficulty
+   * @param {string} difficulty - 'easy', 'medium', 'hard' or '' for any
+   */
+  function pickPracticeFish(difficulty) {
+    let pool = difficulty ?
+      fishDatabase.filter(f => f.difficulty === difficulty) : fishDatabase;
+
+    // Avoid serving the same fish twice in a row
+    const current = engine.getState();
+    if (current && pool.length > 1) {
+      pool = pool.filter(f => f.id !== current.target.id);
+    }
+
+    return pool[Math.floor(Math.random() * pool.length)];
+  }
+
+  /**
+   * Start a fresh practice game with the selected difficulty, checking first
+   * if that would throw away a game in progress
+   */
+  function newPracticeGame() {
+    if (engine.isInProgress() && !confirm(I18n.t('practice.confirmNew'))) {
+      elements.practiceDifficulty.value = practiceDifficulty;
+      return;
+    }
+
+    practiceDifficulty = elements.practiceDifficulty.value;
+    localStorage.removeItem(PRACTICE_KEY);
+    startGame('practice');
+  }
+
+  /**
+   * Switch to today's puzzle for a difficulty tier
+   * @param {string|null} newTier - 'easy', 'medium', 'hard' or null for classic
+   */
+  function selectTier(newTier) {
+    tier = newTier;
+    loadDailyStats();
+    startGame('daily');
+  }
+
+  /**
+   * Open a puzzle from the archive
+   * @param {string} dateKey - YYYY-MM-DD
+   */
+  function openArchiveGame(dateKey) {
+    if (dateKey === Daily.getTodayKey()) {
+      selectTier(null);
+    } else {
+      startGame('archive', Daily.parseDateKey(dateKey));
+    }
+  }
+
   /**
    * Cache DOM elements
    */
   function cacheElements() {
     elements = {
       gameNumber: document.getElementById('gameNumber'),
+      gameTheme: document.getElementById('gameTheme'),
       silhouette: document.getElementById('silhouette'),
       nameBlanks: document.getElementById('nameBlanks'),
+      wordStartsHintBtn: document.getElementById('wordStartsHintBtn'),
       currentScore: document.getElementById('currentScore'),
+      guessesRemaining: document.getElementById('guessesRemaining'),
       letterHintBtn: document.getElementById('letterHintBtn'),
       attributeHintBtn: document.getElementById('attributeHintBtn'),
+      factHintBtn: document.getElementById('factHintBtn'),
+      genusHintBtn: document.getElementById('genusHintBtn'),
+      candidatesHintBtn: document.getElementById('candidatesHintBtn'),
       revealedAttributes: document.getElementById('revealedAttributes'),
       attributesList: document.getElementById('attributesList'),
       guessInput: document.getElementById('guessInput'),
       autocompleteList: document.getElementById('autocompleteList'),
+      autocompleteFilters: document.getElementById('autocompleteFilters'),
       submitGuess: document.getElementById('submitGuess'),
+      giveUpBtn: document.getElementById('giveUpBtn'),
       guessHistory: document.getElementById('guessHistory'),
       resultModal: document.getElementById('resultModal'),
       modalTitle: document.getElementById('modalTitle'),
@@ -111,9 +319,35 @@ const Game = (function() {
       winPercent: document.getElementById('winPercent'),
       currentStreak: document.getElementById('currentStreak'),
       maxStreak: document.getElementById('maxStreak'),
+      longestStreak: document.getElementById('longestStreak'),
+      statsTitle: document.getElementById('statsTitle'),
       shareResult: document.getElementById('shareResult'),
       shareBtn: document.getElementById('shareBtn'),
-      shareConfirm: document.getElementById('shareConfirm')
+      shareConfirm: document.getElementById('shareConfirm'),
+      statsBtn: document.getElementById('statsBtn'),
+      statsModal: document.getElementById('statsModal'),
+      statsContent: document.getElementById('statsContent'),
+      viewStatsBtn: document.getElementById('viewStatsBtn'),
+      archiveBtn: document.getElementById('archiveBtn'),
+      todayBtn: document.getElementById('todayBtn'),
+      archiveModal: document.getElementById('archiveModal'),
+      archiveList: document.getElementById('archiveList'),
+      practiceBtn: document.getElementById('practiceBtn'),
+      practiceBar: document.getElementById('practiceBar'),
+      practiceDifficulty: document.getElementById('practiceDifficulty'),
+      newPracticeBtn: document.getElementById('newPracticeBtn'),
+      tierTabs: Array.from(document.querySelectorAll('.tier-tab')),
+      hardModeToggle: document.getElementById('hardModeToggle'),
+      scoringModeSelect: document.getElementById('scoringModeSelect'),
+      hintButtons: Array.from(document.querySelectorAll('.hint-btn[data-hint-type]')),
+      nameHint: document.getElementById('nameHint'),
+      patternHintsToggle: document.getElementById('patternHintsToggle'),
+      stagedRevealToggle: document.getElementById('stagedRevealToggle'),
+      unitsBtn: document.getElementById('unitsBtn'),
+      contrastBtn: document.getElementById('contrastBtn'),
+      localeSelect: document.getElementById('localeSelect'),
+      guessAnnouncer: document.getElementById('guessAnnouncer'),
+      guessMessage: document.getElementById('guessMessage')
     };
   }
 
@@ -130,6 +364,58 @@ const Game = (function() {
     }
   }
 
+  /**
+   * Load a locale bundle (and English, which fills any gaps) and make it active
+   * @param {string} locale - Locale code
+   */
+  async function loadLocale(locale) {
+    const codes = [...new Set([I18n.DEFAULT_LOCALE, locale])];
+    for (const code of codes.filter(code => !I18n.hasBundle(code))) {
+      try {
+        const response = await fetch(`data/locales/${code}.json`);
+        I18n.setBundle(code, await response.json());
+      } catch (err) {
+        console.warn(`Failed to load locale ${code}:`, err);
+      }
+    }
+    I18n.setLocale(locale);
+    I18n.translatePage(document);
+  }
+
+  /**
+   * Load the attribute schema from JSON
+   */
+  async function loadAttributeSchema() {
+    try {
+      const response = await fetch('data/attributes.json');
+      Attributes.setSchema(await response.json());
+    } catch (err) {
+      console.error('Failed to load attribute schema:', err);
+    }
+  }
+
+  /**
+   * Load the daily schedule and optional curated overrides from JSON
+   */
+  async function loadSchedule() {
+    try {
+      const response = await fetch('data/schedule.json');
+      Daily.setSchedule(await response.json());
+    } catch (err) {
+      console.warn('Failed to load schedule, using generated fallback:', err);
+    }
+
+    try {
+      const response = await fetch('data/overrides.json');
+      if (response.ok) {
+        const data = await response.json();
+        Daily.setOverrides(data.overrides);
+      }
+    } catch (err) {
+      console.warn('Failed to load schedule overrides:', err);
+    }
+  }
+
   /**
    * Bind event listeners
    */
@@ -140,15 +426,65 @@ const Game = (function() {
         submitGuess();
       }
     });
-    elements.letterHintBtn.addEventListener('click', useLetterHint);
+    elements.letterHintBtn.addEventListener('click', () => useLetterHint('letter'));
+    elements.wordStartsHintBtn.addEventListener('click', () => useLetterHint('wordStarts'));
+    elements.nameBlanks.addEventListener('click', (e) => {
+      const blank = e.target.closest('[data-position]');
+      if (blank) {
+        useLetterHint('position', Number(blank.dataset.position));
+      }
+    });
     elements.attributeHintBtn.addEventListener('click', useAttributeHint);
+    elements.factHintBtn.addEventListener('click', () => useClueHint('fact'));
+    elements.genusHintBtn.addEventListener('click', () => useClueHint('genus'));
+    elements.candidatesHintBtn.addEventListener('click', () => useClueHint('candidates'));
+    elements.giveUpBtn.addEventListener('click', giveUp);
     elements.shareBtn.addEventListener('click', handleShare);
+    elements.statsBtn.addEventListener('click', showStats);
+    elements.archiveBtn.addEventListener('click', Archive.show);
+    elements.todayBtn.addEventListener('click', () => startGame('daily'));
+    elements.practiceBtn.addEventListener('click', () => startGame('practice'));
+    elements.practiceDifficulty.addEventListener('change', newPracticeGame);
+    elements.newPracticeBtn.addEventListener('click', newPracticeGame);
+    elements.tierTabs.forEach(tab => {
+      tab.addEventListener('click', () => selectTier(tab.dataset.tier || null));
+    });
+    elements.hardModeToggle.addEventListener('change', toggleHardMode);
+    elements.scoringModeSelect.addEventListener('change', changeScoringMode);
+    elements.patternHintsToggle.addEventListener('change', togglePatternHints);
+    elements.stagedRevealToggle.addEventListener('change', toggleStagedSilhouette);
+    elements.unitsBtn.addEventListener('click', toggleUnits);
+    elements.localeSelect.addEventListener('change', changeLocale);
+    elements.contrastBtn.addEventListener('click', toggleContrast);
+    elements.viewStatsBtn.addEventListener('click', () => {
+      elements.resultModal.classList.add('hidden');
+      showStats();
+    });
+
+    document.querySelectorAll('[data-close-modal]').forEach(button => {
+      button.addEventListener('click', () => {
+        button.closest('.modal').classList.add('hidden');
+      });
+    });
+
+    // Only time spent looking at the puzzle counts towards a timed score
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) {
+        engine.pause();
+        if (engine.getState()) saveGameState();
+      } else {
+        engine.resume();
+      }
+    });
+    setInterval(tickScore, SCORE_TICK_MS);
   }
 
   /**
    * Render fish silhouette
    */
   async function renderSilhouette() {
+    const targetFish = engine.getState().target;
+
     try {
       // Load the SVG file for the target fish
       const response = await fetch(targetFish.silhouette);
@@ -165,6 +501,25 @@ const Game = (function() {
       console.warn('Failed to load silhouette, using fallback:', err);
       elements.silhouette.innerHTML = generateFallbackSilhouette(targetFish);
     }
+
+    updateSilhouetteStage();
+  }
+
+  /**
+   * Crop and blur the silhouette to the game's reveal stage. Finished games,
+   * and games not using staged reveal, see the whole silhouette.
+   */
+  function updateSilhouetteStage() {
+    const { stagedReveal, revealStage, gameOver } = engine.getState();
+    // Locked once a guess or hint has widened the view, like hard mode
+    elements.stagedRevealToggle.checked = stagedReveal;
+    elements.stagedRevealToggle.disabled = revealStage > 0 || gameOver;
+
+    const svg = elements.silhouette.querySelector('svg');
+    if (!svg) return;
+
+    const staged = stagedReveal && !gameOver;
+    Silhouette.apply(svg, staged ? revealStage : Silhouette.getStageCount());
   }
 
   /**
@@ -197,12 +552,17 @@ const Game = (function() {
    * Update name blanks display
    */
   function updateNameBlanks() {
-    const display = Hints.getNameDisplay();
+    const display = Hints.getNameDisplay(engine.getState());
+    // Blanks can be clicked to reveal that letter
+    const pickable = engine.canUseHint('position');
     elements.nameBlanks.innerHTML = display.map(item => {
       if (item.type === 'space') {
         return '<span class="letter-blank space"></span>';
       } else if (item.type === 'revealed') {
         return `<span class="letter-blank revealed">${item.letter}</span>`;
+      } else if (pickable) {
+        return `<button type="button" class="letter-blank pickable" data-position="${item.position}"
+                  title="${I18n.t('hint.pickLetter', { cost: engine.getHintCost('position') })}">_</button>`;
       } else {
         return '<span class="letter-blank">_</span>';
       }
@@ -213,18 +573,17 @@ const Game = (function() {
    * Update score display
    */
   function updateScore() {
-    const score = calculateScore();
-    elements.currentScore.textContent = score;
+    elements.currentScore.textContent = engine.getScore();
+    elements.guessesRemaining.textContent =
+      `(${I18n.plural('score.guessesLeft', engine.getGuessesRemaining())})`;
   }
 
-  /**
-   * Calculate current potential score
-   */
-  function calculateScore() {
-    const guessPenalty = guesses.length * GUESS_PENALTY;
-    const hintPenalty = Hints.getHintPenalty();
-    const score = BASE_SCORE - guessPenalty - hintPenalty;
-    return Math.max(MIN_SCORE, score);
+  // Keep a running timed score current
+  function tickScore() {
+    const state = engine.getState();
+    if (state && !state.gameOver && !document.hidden && Scoring.isTimed(state.scoringMode)) {
+      updateScore();
+    }
   }
 
   /**
@@ -239,51 +598,54 @@ const Game = (function() {
    * Submit a guess
    */
   function submitGuess() {
-    if (gameOver) return;
+    if (engine.getState().gameOver) return;
 
     const inputValue = elements.guessInput.value.trim();
     if (!inputValue) return;
 
-    // Find the fish by name
-    const guessedFish = selectedFish ||
-      fishDatabase.find(f => f.name.toLowerCase() === inputValue.toLowerCase());
+    // Find the fish by name or alias, allowing for typos
+    const guessedFish = selectedFish || Autocomplete.findFish(inputValue);
+    selectedFish = null;
 
-    if (!guessedFish) {
-      // Invalid fish name
-      elements.guessInput.classList.add('error');
-      setTimeout(() => elements.guessInput.classList.remove('error'), 500);
-      return;
-    }
+    const result = guessedFish ? engine.guess(guessedFish.id) : { error: 'unknown-fish' };
 
-    // Check if already guessed
-    if (guesses.some(g => g.fish.id === guessedFish.id)) {
+    if (result.error === 'already-guessed') {
       Autocomplete.clear();
-      selectedFish = null;
       return;
     }
 
-    // Record guess
-    const comparison = compareAttributes(guessedFish, targetFish);
-    const guess = {
-      fish: guessedFish,
-      comparison,
-      correct: guessedFish.id === targetFish.id
-    };
+    if (result.error) {
+      // Invalid fish name, or hard mode rejected the guess
+      if (result.message) {
+        showGuessMessage(result.message);
+      }
+      elements.guessInput.classList.add('error');
+      setTimeout(() => elements.guessInput.classList.remove('error'), 500);
+      return;
+    }
 
-    guesses.push(guess);
-    Autocomplete.setGuessedFish(guesses.map(g => g.fish.id));
+    hideGuessMessage();
+    Autocomplete.setGuessedFish(engine.getState().guesses.map(g => g.fish.id));
+    announceGuess(result.guess);
+    updateSilhouetteStage();
 
     // Clear input
     Autocomplete.clear();
-    selectedFish = null;
 
     // Update display
     renderGuessHistory();
     updateScore();
+    updateHardModeToggle();
+    updateHintsDisplay();
 
-    // Check win condition
-    if (guess.correct) {
-      handleWin();
+    // Check win/loss condition
+    const state = engine.getState();
+    if (state.gameOver) {
+      if (state.won) {
+        handleWin();
+      } else {
+        handleLoss();
+      }
     }
 
     // Save state
@@ -291,106 +653,276 @@ const Game = (function() {
   }
 
   /**
-   * Compare attributes between guessed fish and target
+   * Show a message under the guess input
    */
-  function compareAttributes(guessed, target) {
-    const comparison = {};
+  function showGuessMessage(message) {
+    elements.guessMessage.textContent = message;
+    elements.guessMessage.classList.remove('hidden');
+  }
 
-    // Habitat comparison
-    comparison.habitat = {
-      value: guessed.attributes.habitat,
-      match: guessed.attributes.habitat === target.attributes.habitat ? 'exact' : 'wrong'
-    };
+  function hideGuessMessage() {
+    elements.guessMessage.classList.add('hidden');
+  }
 
-    // Size comparison
-    const guessedSizeIndex = SIZE_ORDER.indexOf(guessed.attributes.size);
-    const targetSizeIndex = SIZE_ORDER.indexOf(target.attributes.size);
-    const sizeDiff = guessedSizeIndex - targetSizeIndex;
+  /**
+   * Toggle hard mode (only allowed before the first guess)
+   */
+  function toggleHardMode() {
+    if (!engine.setHardMode(elements.hardModeToggle.checked)) {
+      elements.hardModeToggle.checked = engine.getState().hardMode;
+      return;
+    }
 
-    comparison.size = {
-      value: guessed.attributes.size,
-      match: sizeDiff === 0 ? 'exact' : Math.abs(sizeDiff) === 1 ? 'close' : 'wrong',
-      direction: sizeDiff > 0 ? 'down' : sizeDiff < 0 ? 'up' : null
-    };
+    settings.hardMode = elements.hardModeToggle.checked;
+    saveSettings();
+  }
 
-    // Family comparison
-    comparison.family = {
-      value: guessed.attributes.family,
-      match: guessed.attributes.family === target.attributes.family ? 'exact' : 'wrong'
-    };
+  /**
+   * Change the scoring mode (only allowed before the first guess or hint)
+   */
+  function changeScoringMode() {
+    if (!engine.setScoringMode(elements.scoringModeSelect.value)) {
+      elements.scoringModeSelect.value = engine.getState().scoringMode;
+      return;
+    }
 
-    // Region comparison
-    const guessedOceanGroup = OCEAN_GROUPS[guessed.attributes.region] || [];
-    const isCloseRegion = guessedOceanGroup.includes(target.attributes.region);
+    settings.scoringMode = elements.scoringModeSelect.value;
+    saveSettings();
+    saveGameState();
 
-    comparison.region = {
-      value: guessed.attributes.region,
-      match: guessed.attributes.region === target.attributes.region ? 'exact' :
-             isCloseRegion ? 'close' : 'wrong'
-    };
+    updateScore();
+    updateNameBlanks();
+    updateHintsDisplay();
+  }
+
+  /**
+   * Toggle pattern letter hints (only allowed before the first letter hint)
+   */
+  function togglePatternHints() {
+    const letterPattern = elements.patternHintsToggle.checked ? 'pattern' : 'seeded';
+    settings.letterPattern = letterPattern;
+    saveSettings();
+
+    if (engine.setLetterPattern(letterPattern)) {
+      saveGameState();
+    }
+  }
+
+  /**
+   * Turn the staged silhouette reveal on or off (only allowed before the
+   * first guess or hint)
+   */
+  function toggleStagedSilhouette() {
+    if (!engine.setStagedReveal(elements.stagedRevealToggle.checked)) {
+      elements.stagedRevealToggle.checked = engine.getState().stagedReveal;
+      return;
+    }
+
+    settings.stagedSilhouette = elements.stagedRevealToggle.checked;
+    saveSettings();
+    updateSilhouetteStage();
+  }
+
+  /**
+   * Switch between metric and imperial units
+   */
+  function toggleUnits() {
+    settings.units = settings.units === 'metric' ? 'imperial' : 'metric';
+    Attributes.setUnitSystem(settings.units);
+    saveSettings();
+
+    updateUnitsButton();
+    renderGuessHistory();
+    updateHintsDisplay();
+  }
+
+  function renderScoringModes() {
+    elements.scoringModeSelect.innerHTML = Scoring.getModes().map(key =>
+      `<option value="${key}">${I18n.t(`scoring.${key}`)}</option>`
+    ).join('');
+    elements.scoringModeSelect.value = settings.scoringMode;
+  }
+
+  function renderLocales() {
+    elements.localeSelect.innerHTML = I18n.getLocales().map(({ key, label }) =>
+      `<option value="${key}">${label}</option>`
+    ).join('');
+    elements.localeSelect.value = I18n.getLocale();
+  }
+
+  /**
+   * Switch the interface language and re-render everything with text in it.
+   * Puzzles, puzzle numbers and hint orders are the same in every locale.
+   */
+  async function changeLocale() {
+    settings.locale = elements.localeSelect.value;
+    saveSettings();
+    await loadLocale(settings.locale);
+    // Keep a saved game's blanks in the new language, without saving fresh games
+    if (engine.localizeName() && localStorage.getItem(getStateKey())) {
+      saveGameState();
+    }
+
+    updateGameLabel();
+    updateUnitsButton();
+    renderScoringModes();
+    updateScore();
+    updateNameBlanks();
+    updateHintsDisplay();
+    renderGuessHistory();
+    Autocomplete.clear();
+    Autocomplete.setFilters(elements.autocompleteFilters, FILTER_KEYS);
+    if (engine.getState().gameOver) {
+      disableInput();
+    }
+    if (!elements.resultModal.classList.contains('hidden')) {
+      showResultModal();
+    }
+  }
+
+  /**
+   * Switch the high-contrast, colourblind-safe palette on or off
+   */
+  function toggleContrast() {
+    settings.highContrast = !settings.highContrast;
+    saveSettings();
+    applyContrast();
 
-    return comparison;
+    renderGuessHistory();
+    if (!elements.resultModal.classList.contains('hidden')) {
+      showResultModal();
+    }
+  }
+
+  function applyContrast() {
+    Sharing.setPalette(settings.highContrast ? 'highContrast' : 'standard');
+    document.body.classList.toggle('high-contrast', settings.highContrast);
+    elements.contrastBtn.setAttribute('aria-pressed', String(settings.highContrast));
+  }
+
+  function updateUnitsButton() {
+    elements.unitsBtn.textContent = `\u{1F4CF} ${I18n.t(`units.${settings.units}`)}`;
+  }
+
+  /**
+   * Sync the hard mode toggle with the current game
+   */
+  function updateHardModeToggle() {
+    const { hardMode, guesses, gameOver } = engine.getState();
+    elements.hardModeToggle.checked = hardMode;
+    elements.hardModeToggle.disabled = guesses.length > 0 || gameOver;
   }
 
   /**
    * Render guess history
    */
   function renderGuessHistory() {
+    const { guesses, gameOver, target } = engine.getState();
+
     if (guesses.length === 0) {
-      elements.guessHistory.innerHTML = '<div class="history-empty">No guesses yet</div>';
+      elements.guessHistory.innerHTML = `<div class="history-empty">${I18n.t('history.empty')}</div>`;
       return;
     }
 
+    const schema = Attributes.getSchema();
+
     elements.guessHistory.innerHTML = guesses.map((guess, index) => {
       const { fish, comparison, correct } = guess;
 
       return `
         <div class="guess-entry">
-          <div class="guess-name ${correct ? 'correct' : ''}">${fish.name}</div>
-          <div class="attribute-grid">
-            <div class="attribute-header">Habitat</div>
-            <div class="attribute-header">Size</div>
-            <div class="attribute-header">Family</div>
-            <div class="attribute-header">Region</div>
-            ${renderAttributeCell('habitat', comparison.habitat)}
-            ${renderAttributeCell('size', comparison.size)}
-            ${renderAttributeCell('family', comparison.family)}
-            ${renderAttributeCell('region', comparison.region)}
+          <div class="guess-name ${correct ? 'correct' : ''}">${I18n.getFishName(fish)}</div>
+          <div class="attribute-grid" style="--attribute-count: ${schema.length}">
+            ${schema.map(def => `<div class="attribute-header">${Attributes.getLabel(def)}</div>`).join('')}
+            ${schema.map(def => renderAttributeCell(def, comparison[def.key], fish,
+              def.type === 'geographic' ? renderRegionMap(def, guesses.slice(0, index + 1), gameOver && target) : '')).join('')}
           </div>
         </div>
       `;
     }).reverse().join('');
   }
 
+  /**
+   * Map of the latest guess in a list, with everything ruled out by the list
+   * and, once the game is over, the target's range
+   */
+  function renderRegionMap(def, guessesSoFar, targetFish) {
+    const guess = guessesSoFar[guessesSoFar.length - 1];
+    const value = guess.fish.attributes[def.key];
+
+    return WorldMap.render(def, {
+      guessed: Array.isArray(value) ? value : [value],
+      match: guess.comparison[def.key].match,
+      ruledOut: WorldMap.getRuledOut(def, guessesSoFar),
+      target: targetFish ? [].concat(targetFish.attributes[def.key]) : null
+    });
+  }
+
+  /**
+   * Read a guess's feedback out through the live region
+   * @param {Object} guess - Guess with fish, comparison and correct
+   */
+  function announceGuess({ fish, comparison, correct }) {
+    const feedback = Attributes.getSchema()
+      .map(def => Attributes.describeFeedback(def, comparison[def.key]))
+      .join('; ');
+    const outcome = correct ? I18n.t('announce.won') :
+      `${I18n.plural('score.guessesLeft', engine.getGuessesRemaining())}.`;
+    elements.guessAnnouncer.textContent = `${I18n.getFishName(fish)}: ${feedback}. ${outcome}`;
+  }
+
   /**
    * Render single attribute cell
    */
-  function renderAttributeCell(attr, data) {
-    const emoji = data.match === 'exact' ? '\u{1F7E9}' :
-                  data.match === 'close' ? '\u{1F7E8}' : '\u{2B1C}';
+  function renderAttributeCell(def, data = { value: '?', match: 'wrong' }, fish = null, extra = '') {
+    const emoji = Sharing.getMatchEmoji(data.match);
 
     let arrow = '';
     if (data.direction === 'up') arrow = '\u2191';
     if (data.direction === 'down') arrow = '\u2193';
+    if (data.compass) arrow = `${COMPASS_ARROWS[data.compass]} ${data.compass}`;
+
+    const note = getCellNote(data);
 
     return `
-      <div class="attribute-cell">
-        <span class="emoji">${emoji}</span>
-        <span class="value">${data.value}</span>
+      <div class="attribute-cell ${data.match}">
+        <span class="emoji" aria-hidden="true">${emoji}</span>
+        <span class="visually-hidden">${Attributes.describeFeedback(def, data)}.</span>
+        ${extra}
+        <span class="value ${def.units ? 'numeric' : ''}">${Attributes.format(def, data.value, fish)}</span>
         ${arrow ? `<span class="arrow">${arrow}</span>` : ''}
+        ${note ? `<span class="cell-note">${note}</span>` : ''}
       </div>
     `;
   }
 
   /**
-   * Use letter hint
+   * Extra detail shown under a cell's value
    */
-  function useLetterHint() {
-    if (gameOver || !Hints.canRevealLetter()) return;
+  function getCellNote(data) {
+    if (data.shared) {
+      return I18n.t('history.same', {
+        rank: I18n.t(`rank.${data.shared.rank}`),
+        value: data.shared.value
+      });
+    }
+    if (data.within) return I18n.t('history.within', { percent: data.within });
+    if (data.overlap || data.relation === 'overlapping') return I18n.t('history.overlapping');
+    if (data.relation === 'adjacent') return I18n.t('history.adjacent');
+    return '';
+  }
 
-    const result = Hints.revealLetter();
+  /**
+   * Use a letter hint
+   * @param {string} [type] - 'letter', 'position' or 'wordStarts'
+   * @param {number} [position] - Chosen position for 'position' hints
+   */
+  function useLetterHint(type = 'letter', position) {
+    const result = engine.useHint(type, position);
     if (result) {
+      updateSilhouetteStage();
       updateNameBlanks();
+      updateHintsDisplay();
       updateScore();
       saveGameState();
     }
@@ -400,10 +932,23 @@ const Game = (function() {
    * Use attribute hint
    */
   function useAttributeHint() {
-    if (gameOver || !Hints.canRevealAttribute()) return;
+    const result = engine.useHint('attribute');
+    if (result) {
+      updateSilhouetteStage();
+      updateHintsDisplay();
+      updateScore();
+      saveGameState();
+    }
+  }
 
-    const result = Hints.revealAttribute();
+  /**
+   * Use a fact, genus or candidates hint
+   * @param {string} type - Hint type
+   */
+  function useClueHint(type) {
+    const result = engine.useHint(type);
     if (result) {
+      updateSilhouetteStage();
       updateHintsDisplay();
       updateScore();
       saveGameState();
@@ -415,17 +960,43 @@ const Game = (function() {
    */
   function updateHintsDisplay() {
     // Update hint buttons
-    elements.letterHintBtn.disabled = gameOver || !Hints.canRevealLetter();
-    elements.attributeHintBtn.disabled = gameOver || !Hints.canRevealAttribute();
+    elements.letterHintBtn.disabled = !engine.canUseHint('letter');
+    elements.wordStartsHintBtn.disabled = !engine.canUseHint('wordStarts');
+    elements.attributeHintBtn.disabled = !engine.canUseHint('attribute');
+    elements.factHintBtn.disabled = !engine.canUseHint('fact');
+    elements.genusHintBtn.disabled = !engine.canUseHint('genus');
+    elements.candidatesHintBtn.disabled = !engine.canUseHint('candidates');
+
+    // Costs follow the scoring mode, and may rise as hints are used
+    elements.hintButtons.forEach(button => {
+      const cost = engine.getHintCost(button.dataset.hintType);
+      button.querySelector('.hint-cost').textContent = I18n.t('hint.cost', { cost });
+    });
+    elements.nameHint.textContent =
+      I18n.t('hint.pickBlank', { cost: engine.getHintCost('position') });
+
+    // Scoring can only change before the first guess or hint
+    const { scoringMode, guesses } = engine.getState();
+    elements.scoringModeSelect.value = scoringMode;
+    elements.scoringModeSelect.disabled = guesses.length > 0 ||
+      Object.values(Hints.getHintCounts(engine.getState())).some(count => count > 0);
 
-    // Update revealed attributes
-    const revealedList = Hints.getRevealedAttributesList();
+    // The letter order can only change before the first letter is revealed
+    const { hints, gameOver } = engine.getState();
+    elements.patternHintsToggle.checked = hints.letterPattern === 'pattern';
+    elements.patternHintsToggle.disabled = hints.revealedLetters.length > 0 || gameOver;
 
-    if (revealedList.length > 0) {
+    // Update revealed attributes and clues
+    const revealedList = Hints.getRevealedAttributesList(engine.getState());
+    const clues = Hints.getRevealedClues(engine.getState());
+
+    if (revealedList.length > 0 || clues.length > 0) {
       elements.revealedAttributes.classList.remove('hidden');
       elements.attributesList.innerHTML = revealedList.map(attr =>
-        `<span class="attribute-tag"><span class="label">${attr.label}:</span> ${attr.value}</span>`
-      ).join('');
+        `<span class="attribute-tag"><span class="label">${attr.label}:</span> ${attr.display}</span>`
+      ).concat(clues.map(clue =>
+        `<span class="attribute-tag clue-tag ${clue.type}"><span class="label">${clue.label}:</span> ${clue.display}</span>`
+      )).join('');
     } else {
       elements.revealedAttributes.classList.add('hidden');
     }
@@ -435,18 +1006,63 @@ const Game = (function() {
    * Handle win
    */
   function handleWin() {
-    gameOver = true;
-    won = true;
+    // Update stats
+    if (mode === 'daily') {
+      stats.gamesPlayed++;
+      stats.wins++;
+      extendStreak();
+    } else {
+      modeStats[mode].gamesPlayed++;
+      modeStats[mode].wins++;
+    }
+    saveStats();
+
+    // Reveal silhouette
+    elements.silhouette.classList.add('revealed');
+    updateSilhouetteStage();
+
+    // Disable input
+    disableInput();
+
+    // Show modal
+    showResultModal();
+  }
+
+  /**
+   * Give up on the current game
+   */
+  function giveUp() {
+    if (engine.getState().gameOver) return;
+    if (!confirm(I18n.t('giveUp.confirm'))) return;
+
+    engine.giveUp();
+    Autocomplete.clear();
+    selectedFish = null;
+    renderGuessHistory();
+
+    handleLoss();
+    saveGameState();
+  }
 
+  /**
+   * Handle loss (out of guesses or gave up)
+   */
+  function handleLoss() {
     // Update stats
-    stats.gamesPlayed++;
-    stats.wins++;
-    stats.currentStreak++;
-    stats.maxStreak = Math.max(stats.maxStreak, stats.currentStreak);
+    if (mode === 'daily') {
+      stats.gamesPlayed++;
+      endStreak();
+      recordPlayed();
+    } else {
+      modeStats[mode].gamesPlayed++;
+    }
     saveStats();
 
     // Reveal silhouette
     elements.silhouette.classList.add('revealed');
+    updateSilhouetteStage();
+
+    updateScore();
 
     // Disable input
     disableInput();
@@ -461,57 +1077,108 @@ const Game = (function() {
   function disableInput() {
     Autocomplete.disable();
     elements.submitGuess.disabled = true;
+    elements.giveUpBtn.disabled = true;
+    elements.hardModeToggle.disabled = true;
+    elements.stagedRevealToggle.disabled = true;
+    elements.scoringModeSelect.disabled = true;
+    elements.patternHintsToggle.disabled = true;
     elements.letterHintBtn.disabled = true;
+    elements.wordStartsHintBtn.disabled = true;
     elements.attributeHintBtn.disabled = true;
+    elements.factHintBtn.disabled = true;
+    elements.genusHintBtn.disabled = true;
+    elements.candidatesHintBtn.disabled = true;
+    updateNameBlanks();
   }
 
   /**
    * Show result modal
    */
   function showResultModal() {
-    elements.modalTitle.textContent = won ? '\u{1F3C6} You Got It!' : '\u{1F41F} Better Luck Tomorrow!';
+    const { target: targetFish, guesses, won } = engine.getState();
+
+    if (won) {
+      elements.modalTitle.textContent = `\u{1F3C6} ${I18n.t('result.won')}`;
+    } else {
+      elements.modalTitle.textContent = `\u{1F41F} ${I18n.t(mode === 'practice' ? 'result.lostPractice' : 'result.lost')}`;
+    }
 
     elements.fishReveal.innerHTML = `
-      <div class="fish-name">${targetFish.name}</div>
+      <div class="fish-name">${I18n.getFishName(targetFish)}</div>
       <div class="scientific-name">${targetFish.scientificName}</div>
     `;
 
-    const score = calculateScore();
-    elements.finalScore.textContent = `${score}/100`;
+    const score = engine.getScore();
+    const maxScore = engine.getMaxScore();
+    elements.finalScore.textContent = won ? `${score}/${maxScore}` : `X/${maxScore}`;
     elements.totalGuesses.textContent = guesses.length;
 
     // Update stats display
-    elements.gamesPlayed.textContent = stats.gamesPlayed;
-    elements.winPercent.textContent = `${Math.round((stats.wins / stats.gamesPlayed) * 100)}%`;
-    elements.currentStreak.textContent = stats.currentStreak;
-    elements.maxStreak.textContent = stats.maxStreak;
+    const shownStats = mode === 'daily' ? stats : modeStats[mode];
+    elements.gamesPlayed.textContent = shownStats.gamesPlayed;
+    elements.winPercent.textContent = `${Math.round((shownStats.wins / shownStats.gamesPlayed) * 100)}%`;
+    elements.currentStreak.textContent = mode === 'daily' ? stats.currentStreak : '-';
+    elements.maxStreak.textContent = mode === 'daily' ? stats.maxStreak : '-';
+    elements.statsTitle.textContent = mode === 'daily' && tier ?
+      `${I18n.t('stats.title.daily')} (${I18n.t(`tier.${tier}`)})` : I18n.t(`stats.title.${mode}`);
+
+    const longest = getLongestStreak();
+    if (mode === 'daily' && longest) {
+      // Streaks carried over from older stats have no dates
+      elements.longestStreak.textContent = longest.start && longest.end ?
+        I18n.t('result.longestStreak', { length: longest.length, start: longest.start, end: longest.end }) :
+        I18n.t('result.longestStreakUndated', { length: longest.length });
+      elements.longestStreak.classList.remove('hidden');
+    } else {
+      elements.longestStreak.classList.add('hidden');
+    }
 
     // Generate share display
-    const gameResult = {
-      gameNumber,
-      score,
-      guessHistory: guesses,
-      hintCounts: Hints.getHintCounts(),
-      won
-    };
-
+    const gameResult = getGameResult();
     elements.shareResult.innerHTML = Sharing.generateShareText(gameResult).replace(/\n/g, '<br>');
 
     elements.resultModal.classList.remove('hidden');
   }
 
   /**
-   * Handle share button click
+   * Build the result object used for sharing
    */
-  async function handleShare() {
-    const gameResult = {
+  function getGameResult() {
+    const state = engine.getState();
+
+    return {
       gameNumber,
-      score: calculateScore(),
-      guessHistory: guesses,
-      hintCounts: Hints.getHintCounts(),
-      won
+      tierLabel: mode === 'daily' && tier ? I18n.t(`tier.${tier}`) : null,
+      theme: gameTheme,
+      score: engine.getScore(),
+      maxScore: engine.getMaxScore(),
+      scoringLabel: state.scoringMode === Scoring.DEFAULT_MODE ?
+        null : I18n.t(`scoring.${state.scoringMode}`),
+      guessHistory: state.guesses,
+      hintCounts: Hints.getHintCounts(state),
+      hintPenalties: Hints.getHintPenalties(state),
+      hardMode: state.hardMode,
+      won: state.won
     };
+  }
+
+  /**
+   * Show the stats dashboard, highlighting today's result
+   */
+  function showStats() {
+    const { guesses, gameOver, won } = engine.getState();
+    let highlight = null;
+    if (gameOver) {
+      highlight = won ? String(guesses.length) : 'X';
+    }
+    Stats.show(highlight, mode === 'daily' ? tier : null);
+  }
 
+  /**
+   * Handle share button click
+   */
+  async function handleShare() {
+    const gameResult = getGameResult();
     const success = await Sharing.shareResult(gameResult);
 
     if (success) {
@@ -526,26 +1193,37 @@ const Game = (function() {
    * Save game state to localStorage
    */
   function saveGameState() {
-    const todayKey = Daily.getTodayKey();
-    const state = {
-      guesses: guesses.map(g => ({
-        fishId: g.fish.id,
-        comparison: g.comparison,
-        correct: g.correct
-      })),
-      hints: Hints.getState(),
-      gameOver,
-      won
-    };
+    const state = { ...engine.serialize(), gameNumber };
+
+    if (state.gameOver) {
+      state.score = engine.getScore();
+    }
+
+    if (mode === 'practice') {
+      state.difficulty = practiceDifficulty;
+    }
 
-    localStorage.setItem(`fishdle-${todayKey}`, JSON.stringify(state));
+    localStorage.setItem(getStateKey(), JSON.stringify(state));
+  }
+
+  /**
+   * Get the localStorage key for the current game
+   */
+  function getStateKey() {
+    if (mode === 'practice') return PRACTICE_KEY;
+    if (mode === 'archive') return Archive.getStorageKey(gameDate);
+    return tier ? `fishdle-${tier}-${gameDate}` : `fishdle-${gameDate}`;
   }
 
   /**
    * Load game state from localStorage
    */
-  function loadGameState(todayKey) {
-    const saved = localStorage.getItem(`fishdle-${todayKey}`);
+  function loadGameState() {
+    if (mode === 'archive') {
+      return Archive.loadState(gameDate);
+    }
+
+    const saved = localStorage.getItem(getStateKey());
     if (!saved) return null;
 
     try {
@@ -559,51 +1237,125 @@ const Game = (function() {
    * Restore saved game state
    */
   async function restoreGameState(savedState) {
-    // Restore guesses
-    guesses = savedState.guesses.map(g => {
-      const fish = fishDatabase.find(f => f.id === g.fishId);
-      return {
-        fish,
-        comparison: g.comparison,
-        correct: g.correct
-      };
-    });
+    const { target, hardMode, scoringMode, stagedReveal } = engine.getState();
 
-    Autocomplete.setGuessedFish(guesses.map(g => g.fish.id));
+    // Older saves do not record the target; the schedule decides it
+    const state = engine.restore(savedState, target);
 
-    // Restore hints
-    Hints.loadState(savedState.hints);
+    // A started game keeps the modes it was started in
+    if (state.guesses.length === 0 && !state.gameOver) {
+      state.hardMode = hardMode;
+      engine.setScoringMode(scoringMode);
+      engine.setStagedReveal(stagedReveal);
+    }
+    // Saves from before the staged reveal was kept per game follow the setting
+    if (savedState.stagedReveal === undefined) {
+      state.stagedReveal = stagedReveal;
+    }
 
-    // Restore game state
-    gameOver = savedState.gameOver;
-    won = savedState.won;
+    Autocomplete.setGuessedFish(state.guesses.map(g => g.fish.id));
 
     // Update displays
     await renderSilhouette();
     updateNameBlanks();
     updateScore();
 
-    if (won) {
+    if (state.gameOver) {
       elements.silhouette.classList.add('revealed');
     }
 
-    if (gameOver) {
+    if (state.gameOver) {
       setTimeout(showResultModal, 500);
     }
   }
 
   /**
-   * Save player stats
+   * Continue the current streak if the last completed game was yesterday's
+   * win, otherwise start a new one
    */
-  function saveStats() {
-    localStorage.setItem('fishdle-stats', JSON.stringify(stats));
+  function extendStreak() {
+    const continues = stats.currentStreak > 0 && stats.lastGameNumber === gameNumber - 1;
+
+    if (!continues) {
+      endStreak();
+      stats.currentStreakStart = gameDate;
+    }
+
+    stats.currentStreak++;
+    stats.maxStreak = Math.max(stats.maxStreak, stats.currentStreak);
+    recordPlayed();
   }
 
   /**
-   * Load player stats
+   * Close the current streak and move it into the streak history
    */
-  function loadStats() {
-    const saved = localStorage.getItem('fishdle-stats');
+  function endStreak() {
+    if (stats.currentStreak > 0) {
+      stats.streakHistory.push({
+        length: stats.currentStreak,
+        start: stats.currentStreakStart,
+        end: stats.lastPlayedDate
+      });
+      stats.streakHistory.sort((a, b) => b.length - a.length);
+      stats.streakHistory = stats.streakHistory.slice(0, STREAK_HISTORY_LIMIT);
+    }
+
+    stats.currentStreak = 0;
+    stats.currentStreakStart = null;
+  }
+
+  /**
+   * Remember the last completed game
+   */
+  function recordPlayed() {
+    stats.lastGameNumber = gameNumber;
+    stats.lastPlayedDate = gameDate;
+  }
+
+  /**
+   * Break the streak if a day was skipped since the last completed game
+   */
+  function checkStreakExpired() {
+    if (stats.currentStreak === 0 || stats.lastGameNumber === null) return;
+
+    if (stats.lastGameNumber < gameNumber - 1) {
+      endStreak();
+      saveStats();
+    }
+  }
+
+  /**
+   * Get the longest streak, including the one in progress
+   */
+  function getLongestStreak() {
+    const streaks = [...stats.streakHistory];
+    if (stats.currentStreak > 0) {
+      streaks.push({
+        length: stats.currentStreak,
+        start: stats.currentStreakStart,
+        end: stats.lastPlayedDate
+      });
+    }
+
+    // Ties go to the most recent streak
+    return streaks.reduce((best, streak) =>
+      !best || streak.length >= best.length ? streak : best, null);
+  }
+
+  /**
+   * Get the localStorage key for the active daily stats
+   */
+  function getStatsKey() {
+    return tier ? `fishdle-stats-${tier}` : 'fishdle-stats';
+  }
+
+  /**
+   * Load stats for the active daily puzzle
+   */
+  function loadDailyStats() {
+    stats = { ...DEFAULT_STATS, streakHistory: [] };
+
+    const saved = localStorage.getItem(getStatsKey());
     if (saved) {
       try {
         stats = { ...stats, ...JSON.parse(saved) };
@@ -611,6 +1363,109 @@ const Game = (function() {
         // Use default stats
       }
     }
+
+    migrateStreak();
+  }
+
+  /**
+   * Older stats kept a streak count without the game it ended on. Anchor it
+   * to the last completed game (or the last daily win on this device), so
+   * the streak carries on instead of being closed with no dates. Their best
+   * streak has no dates either, so it joins the history undated unless the
+   * current streak is the best one.
+   */
+  function migrateStreak() {
+    if (stats.lastGameNumber !== null) return;
+
+    const lastDate = stats.currentStreak > 0 && (stats.lastPlayedDate || findLastWinDate());
+    const bestLength = Math.max(stats.maxStreak, stats.currentStreak);
+    if (stats.streakHistory.length === 0 && bestLength > (lastDate ? stats.currentStreak : 0)) {
+      stats.streakHistory.push({ length: bestLength, start: null, end: null });
+    }
+
+    if (!lastDate) {
+      stats.currentStreak = 0;
+      stats.currentStreakStart = null;
+      return;
+    }
+
+    stats.lastPlayedDate = lastDate;
+    stats.lastGameNumber = Daily.getGameNumber(Daily.parseDateKey(lastDate));
+    stats.currentStreakStart = stats.currentStreakStart ||
+      Daily.getDateKey(Daily.getDateForGameNumber(stats.lastGameNumber - stats.currentStreak + 1));
+  }
+
+  /**
+   * Date of the latest won daily game saved for the active tier
+   * @returns {string|null} YYYY-MM-DD key
+   */
+  function findLastWinDate() {
+    const prefix = tier ? `fishdle-${tier}-` : 'fishdle-';
+    let lastDate = null;
+
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      const dateKey = key.startsWith(prefix) && key.slice(prefix.length);
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(dateKey) || (lastDate && dateKey <= lastDate)) continue;
+
+      try {
+        const state = JSON.parse(localStorage.getItem(key));
+        if (state.gameOver && state.won) lastDate = dateKey;
+      } catch {
+        // Skip unreadable saves
+      }
+    }
+
+    return lastDate;
+  }
+
+  /**
+   * Save player settings
+   */
+  function saveSettings() {
+    localStorage.setItem('fishdle-settings', JSON.stringify(settings));
+  }
+
+  /**
+   * Load player settings
+   */
+  function loadSettings() {
+    const saved = localStorage.getItem('fishdle-settings');
+    if (saved) {
+      try {
+        settings = { ...settings, ...JSON.parse(saved) };
+      } catch {
+        // Use default settings
+      }
+    }
+  }
+
+  /**
+   * Save player stats
+   */
+  function saveStats() {
+    localStorage.setItem(getStatsKey(), JSON.stringify(stats));
+    Object.entries(MODE_STATS_KEYS).forEach(([key, storageKey]) => {
+      localStorage.setItem(storageKey, JSON.stringify(modeStats[key]));
+    });
+  }
+
+  /**
+   * Load player stats
+   */
+  function loadStats() {
+    loadDailyStats();
+
+    Object.entries(MODE_STATS_KEYS).forEach(([key, storageKey]) => {
+      const savedMode = localStorage.getItem(storageKey);
+      if (savedMode) {
+        try {
+          modeStats[key] = { ...modeStats[key], ...JSON.parse(savedMode) };
+        } catch {
+          // Use default stats
+        }
+      }
+    });
   }
 
   // Initialize when DOM is ready
@@ -1,51 +1,207 @@
 /**
  * Hint system module
- * Handles letter reveals and attribute clues
+ * Handles letter reveals (in order, at a chosen position, or every word's
+ * first letter), attribute clues, fish facts, the genus initial and
+ * remaining-candidate counts. Hint progress is part of the
+ * engine state (state.hints); these functions read and update that state.
+ *
+ * Hints are revealed in an order fixed when the game starts, shuffled from a
+ * seed (the daily puzzle's hint seed, so every player sees the same hints)
+ * or, for letters in 'pattern' mode, first letter, word starts, then vowels.
+ *
+ * Letter positions refer to the target's name in the player's locale
+ * (hints.name); localizeName() moves them over when the locale changes.
  */
 
 const Hints = (function() {
-  const LETTER_HINT_COST = 10;
-  const ATTRIBUTE_HINT_COST = 5;
-
-  let targetFish = null;
-  let revealedLetters = []; // Array of indices
-  let revealedAttributes = []; // Array of attribute names
-  let onUpdateCallback = null;
-
-  const ATTRIBUTE_LABELS = {
-    habitat: 'Habitat',
-    size: 'Size',
-    family: 'Family',
-    region: 'Region'
+  const AttributesModule = typeof Attributes !== 'undefined' ? Attributes : require('./attributes.js');
+  const DailyModule = typeof Daily !== 'undefined' ? Daily : require('./daily.js');
+  const ScoringModule = typeof Scoring !== 'undefined' ? Scoring : require('./scoring.js');
+  const I18nModule = typeof I18n !== 'undefined' ? I18n : require('./i18n.js');
+
+  // Key in getHintCounts() for each hint type
+  const COUNT_KEYS = {
+    letter: 'letters',
+    position: 'positions',
+    wordStarts: 'wordStarts',
+    attribute: 'attributes',
+    fact: 'facts',
+    genus: 'genus',
+    candidates: 'candidates'
   };
 
-  function init(fish, onUpdate) {
-    targetFish = fish;
-    revealedLetters = [];
-    revealedAttributes = [];
-    onUpdateCallback = onUpdate;
+  const LETTER_PATTERNS = ['seeded', 'pattern'];
+
+  /**
+   * Empty hint state for a new game
+   * @param {Object} target - Target fish
+   * @param {Object} [options] - { seed, letterPattern }; without a seed the
+   *   order is random
+   */
+  function createState(target, options = {}) {
+    const name = I18nModule.getFishName(target);
+    const seed = options.seed !== undefined && options.seed !== null ?
+      options.seed : Math.floor(Math.random() * 0x7FFFFFFF);
+    const letterPattern = LETTER_PATTERNS.includes(options.letterPattern) ?
+      options.letterPattern : 'seeded';
+
+    return {
+      revealedLetters: [], // Array of indices
+      chosenLetters: [], // Indices picked by the player
+      revealedWordStarts: false,
+      revealedAttributes: [], // Array of attribute names
+      revealedFact: false,
+      revealedGenus: false,
+      candidateCounts: [], // { guesses, count } per use
+      seed,
+      letterPattern,
+      name,
+      letterOrder: getLetterOrder(name, seed, letterPattern),
+      attributeOrder: DailyModule.seededShuffle(getAttributeKeys(), seed + 1)
+    };
   }
 
-  function loadState(state) {
-    if (state.revealedLetters) {
-      revealedLetters = state.revealedLetters;
+  /**
+   * Hint state from a saved game
+   * @param {Object} saved - Saved hint state
+   * @param {Object} fallback - Hint state to take the reveal order from when
+   *   the save predates stored orders
+   */
+  function loadState(saved, fallback) {
+    const state = {
+      ...fallback,
+      revealedLetters: [],
+      chosenLetters: [],
+      revealedWordStarts: false,
+      revealedAttributes: [],
+      revealedFact: false,
+      revealedGenus: false,
+      candidateCounts: []
+    };
+    if (!saved) return state;
+
+    if (saved.revealedLetters) {
+      state.revealedLetters = [...saved.revealedLetters];
     }
-    if (state.revealedAttributes) {
-      revealedAttributes = state.revealedAttributes;
+    if (saved.revealedAttributes) {
+      state.revealedAttributes = [...saved.revealedAttributes];
     }
+    if (saved.chosenLetters) {
+      state.chosenLetters = [...saved.chosenLetters];
+    }
+    state.revealedWordStarts = !!saved.revealedWordStarts;
+    state.revealedFact = !!saved.revealedFact;
+    state.revealedGenus = !!saved.revealedGenus;
+    if (saved.candidateCounts) {
+      state.candidateCounts = saved.candidateCounts.map(entry => ({ ...entry }));
+    }
+    if (saved.letterOrder) {
+      state.letterOrder = [...saved.letterOrder];
+      state.letterPattern = saved.letterPattern || 'seeded';
+    }
+    // Saves from before localized names count positions in the English name
+    state.name = saved.name || null;
+    if (saved.attributeOrder) {
+      // Attributes added to the schema since the save go last
+      const keys = getAttributeKeys();
+      state.attributeOrder = saved.attributeOrder.filter(key => keys.includes(key))
+        .concat(fallback.attributeOrder.filter(key => !saved.attributeOrder.includes(key)));
+    }
+    if (saved.seed !== undefined) {
+      state.seed = saved.seed;
+    }
+    return state;
   }
 
-  function getState() {
+  // Copy of the hint state for saving
+  function getState(state) {
+    const { hints } = state;
     return {
-      revealedLetters: [...revealedLetters],
-      revealedAttributes: [...revealedAttributes]
+      revealedLetters: [...hints.revealedLetters],
+      chosenLetters: [...hints.chosenLetters],
+      revealedWordStarts: hints.revealedWordStarts,
+      revealedAttributes: [...hints.revealedAttributes],
+      revealedFact: hints.revealedFact,
+      revealedGenus: hints.revealedGenus,
+      candidateCounts: hints.candidateCounts.map(entry => ({ ...entry })),
+      seed: hints.seed,
+      letterPattern: hints.letterPattern,
+      name: hints.name,
+      letterOrder: [...hints.letterOrder],
+      attributeOrder: [...hints.attributeOrder]
+    };
+  }
+
+  /**
+   * Switch letter reveal mode, only while no letters have been revealed
+   * @returns {boolean} Whether the mode was changed
+   */
+  function setLetterPattern(state, letterPattern) {
+    const { hints } = state;
+    if (!LETTER_PATTERNS.includes(letterPattern) || hints.revealedLetters.length > 0) {
+      return false;
+    }
+
+    hints.letterPattern = letterPattern;
+    hints.letterOrder = getLetterOrder(getName(state), hints.seed, letterPattern);
+    return true;
+  }
+
+  // Name the letter positions refer to
+  function getName(state) {
+    return state.hints.name || state.target.name;
+  }
+
+  /**
+   * Switch the name blanks to the target's name in the active locale.
+   * Picked positions that are still letters stay put; other revealed letters
+   * move to the next letters in the new order, so hints keep their count.
+   * @returns {boolean} Whether the name changed
+   */
+  function localizeName(state) {
+    const { hints } = state;
+    const name = I18nModule.getFishName(state.target);
+    if (name === getName(state)) return false;
+
+    const picked = hints.chosenLetters;
+    const letterCount = hints.revealedLetters.length;
+    const positions = getLetterPositions(name);
+
+    hints.name = name;
+    hints.letterOrder = getLetterOrder(name, hints.seed, hints.letterPattern);
+    hints.revealedLetters = [];
+    hints.chosenLetters = [];
+
+    const nextHidden = () => {
+      const revealed = getRevealedPositions(state);
+      return hints.letterOrder.find(pos => !revealed.includes(pos));
     };
+
+    let moved = 0;
+    picked.forEach(position => {
+      if (positions.includes(position) && !getRevealedPositions(state).includes(position)) {
+        hints.chosenLetters.push(position);
+      } else {
+        moved++;
+      }
+    });
+    for (let i = 0; i < moved; i++) {
+      const position = nextHidden();
+      if (position !== undefined) hints.chosenLetters.push(position);
+    }
+    for (let i = 0; i < letterCount; i++) {
+      const position = nextHidden();
+      if (position !== undefined) hints.revealedLetters.push(position);
+    }
+
+    hints.chosenLetters.sort((a, b) => a - b);
+    hints.revealedLetters.sort((a, b) => a - b);
+    return true;
   }
 
   // Get all letter positions (excluding spaces)
-  function getLetterPositions() {
+  function getLetterPositions(name) {
     const positions = [];
-    const name = targetFish.name;
     for (let i = 0; i < name.length; i++) {
       if (name[i] !== ' ') {
         positions.push(i);
@@ -54,126 +210,338 @@ const Hints = (function() {
     return positions;
   }
 
-  // Reveal a random unrevealed letter
-  function revealLetter() {
-    const allPositions = getLetterPositions();
-    const unrevealedPositions = allPositions.filter(pos => !revealedLetters.includes(pos));
+  // Order letters are revealed in
+  function getLetterOrder(name, seed, letterPattern) {
+    const positions = getLetterPositions(name);
+    if (letterPattern !== 'pattern') {
+      return DailyModule.seededShuffle(positions, seed);
+    }
 
-    if (unrevealedPositions.length === 0) {
-      return null; // All letters revealed
+    // First letter, other word starts, vowels, then the rest left to right
+    const wordStarts = getWordStartPositions(name);
+    const vowels = positions.filter(i => /[aeiou]/i.test(name[i]) && !wordStarts.includes(i));
+    const rest = positions.filter(i => !wordStarts.includes(i) && !vowels.includes(i));
+    return [...wordStarts, ...vowels, ...rest];
+  }
+
+  // First letter of each word, split on spaces and hyphens
+  function getWordStartPositions(name) {
+    return getLetterPositions(name).filter(i => i === 0 || /[\s-]/.test(name[i - 1]));
+  }
+
+  // Hyphens and other characters between the letters of a word
+  function getSeparatorPositions(name) {
+    return getLetterPositions(name).filter(i => !/[\p{L}\p{N}]/u.test(name[i]));
+  }
+
+  /**
+   * All revealed name positions, whichever hint revealed them
+   * @returns {Array<number>} Sorted indices
+   */
+  function getRevealedPositions(state) {
+    const { hints } = state;
+    const name = getName(state);
+    const positions = new Set([...hints.revealedLetters, ...hints.chosenLetters]);
+    if (hints.revealedWordStarts) {
+      getWordStartPositions(name).forEach(i => positions.add(i));
+      getSeparatorPositions(name).forEach(i => positions.add(i));
     }
+    return [...positions].sort((a, b) => a - b);
+  }
 
-    // Pick random unrevealed position
-    const randomIndex = Math.floor(Math.random() * unrevealedPositions.length);
-    const position = unrevealedPositions[randomIndex];
+  // Attributes that can be revealed, in display order
+  function getAttributeKeys() {
+    return AttributesModule.getSchema().map(def => def.key);
+  }
+
+  // Reveal the next unrevealed letter
+  function revealLetter(state) {
+    const { revealedLetters, letterOrder } = state.hints;
+    const revealed = getRevealedPositions(state);
+    const position = letterOrder.find(pos => !revealed.includes(pos));
 
+    if (position === undefined) {
+      return null; // All letters revealed
+    }
+
+    const cost = getHintCost(state, 'letter');
     revealedLetters.push(position);
     revealedLetters.sort((a, b) => a - b);
 
-    if (onUpdateCallback) {
-      onUpdateCallback();
-    }
+    return {
+      position,
+      letter: getName(state)[position],
+      cost
+    };
+  }
+
+  // Reveal the letter at a position picked by the player
+  function revealLetterAt(state, position) {
+    if (!canRevealLetterAt(state, position)) return null;
+
+    const cost = getHintCost(state, 'position');
+    state.hints.chosenLetters.push(position);
+    state.hints.chosenLetters.sort((a, b) => a - b);
 
     return {
       position,
-      letter: targetFish.name[position],
-      cost: LETTER_HINT_COST
+      letter: getName(state)[position],
+      cost
     };
   }
 
-  // Reveal a random unrevealed attribute
-  function revealAttribute() {
-    const allAttributes = Object.keys(targetFish.attributes);
-    const unrevealedAttributes = allAttributes.filter(attr => !revealedAttributes.includes(attr));
+  // Reveal the first letter of every word and the hyphens between words
+  function revealWordStarts(state) {
+    if (!canRevealWordStarts(state)) return null;
+
+    const cost = getHintCost(state, 'wordStarts');
+    const revealed = getRevealedPositions(state);
+    state.hints.revealedWordStarts = true;
+    const positions = getRevealedPositions(state).filter(i => !revealed.includes(i));
 
-    if (unrevealedAttributes.length === 0) {
+    return {
+      positions,
+      letters: positions.map(i => getName(state)[i]),
+      cost
+    };
+  }
+
+  // Reveal the next unrevealed attribute
+  function revealAttribute(state) {
+    const { revealedAttributes, attributeOrder } = state.hints;
+    const attribute = attributeOrder.find(attr => !revealedAttributes.includes(attr));
+
+    if (attribute === undefined) {
       return null; // All attributes revealed
     }
 
-    // Pick random unrevealed attribute
-    const randomIndex = Math.floor(Math.random() * unrevealedAttributes.length);
-    const attribute = unrevealedAttributes[randomIndex];
-
+    const cost = getHintCost(state, 'attribute');
     revealedAttributes.push(attribute);
 
-    if (onUpdateCallback) {
-      onUpdateCallback();
-    }
+    return {
+      ...describeAttribute(state, attribute),
+      cost
+    };
+  }
 
+  // Reveal the short fact stored with the fish
+  function revealFact(state) {
+    if (!canRevealFact(state)) return null;
+
+    const cost = getHintCost(state, 'fact');
+    state.hints.revealedFact = true;
     return {
-      attribute,
-      label: ATTRIBUTE_LABELS[attribute],
-      value: targetFish.attributes[attribute],
-      cost: ATTRIBUTE_HINT_COST
+      fact: I18nModule.getFishFact(state.target),
+      cost
+    };
+  }
+
+  // Reveal the first letter of the genus
+  function revealGenus(state) {
+    if (!canRevealGenus(state)) return null;
+
+    const cost = getHintCost(state, 'genus');
+    state.hints.revealedGenus = true;
+    return {
+      initial: getGenusInitial(state.target),
+      cost
     };
   }
 
+  /**
+   * Record how many fish still fit the feedback
+   * @param {Object} state - Game state
+   * @param {number} count - Remaining candidates, counted by the engine
+   */
+  function revealCandidates(state, count) {
+    if (!canRevealCandidates(state)) return null;
+
+    const cost = getHintCost(state, 'candidates');
+    state.hints.candidateCounts.push({ guesses: state.guesses.length, count });
+    return {
+      count,
+      cost
+    };
+  }
+
+  // Genus initial from the scientific name, if it names a genus
+  function getGenusInitial(fish) {
+    // Hybrids and fish listed only by family have no genus
+    const match = /^([A-Z])[a-z]+ [a-z]+$/.exec(fish.scientificName || '');
+    if (!match || /^Hybrid /.test(fish.scientificName)) return null;
+    return match[1];
+  }
+
   // Check if more letter hints are available
-  function canRevealLetter() {
-    const allPositions = getLetterPositions();
-    return revealedLetters.length < allPositions.length;
+  function canRevealLetter(state) {
+    const allPositions = getLetterPositions(getName(state));
+    return getRevealedPositions(state).length < allPositions.length;
+  }
+
+  // Check if a chosen position is a hidden letter
+  function canRevealLetterAt(state, position) {
+    return getLetterPositions(getName(state)).includes(position) &&
+      !getRevealedPositions(state).includes(position);
+  }
+
+  // Check if any word start is still hidden
+  function canRevealWordStarts(state) {
+    const revealed = getRevealedPositions(state);
+    return !state.hints.revealedWordStarts &&
+      getWordStartPositions(getName(state)).some(i => !revealed.includes(i));
   }
 
   // Check if more attribute hints are available
-  function canRevealAttribute() {
-    const allAttributes = Object.keys(targetFish.attributes);
-    return revealedAttributes.length < allAttributes.length;
+  function canRevealAttribute(state) {
+    return getAttributeKeys().some(attr => !state.hints.revealedAttributes.includes(attr));
+  }
+
+  function canRevealFact(state) {
+    return !!state.target.fact && !state.hints.revealedFact;
+  }
+
+  function canRevealGenus(state) {
+    return !!getGenusInitial(state.target) && !state.hints.revealedGenus;
+  }
+
+  // Candidates can be counted again after each new guess
+  function canRevealCandidates(state) {
+    return !state.hints.candidateCounts.some(entry => entry.guesses === state.guesses.length);
   }
 
   // Get name blanks display with revealed letters
-  function getNameDisplay() {
-    const name = targetFish.name;
+  function getNameDisplay(state) {
+    const name = getName(state);
+    const revealed = getRevealedPositions(state);
     const display = [];
 
     for (let i = 0; i < name.length; i++) {
       if (name[i] === ' ') {
-        display.push({ type: 'space' });
-      } else if (revealedLetters.includes(i)) {
-        display.push({ type: 'revealed', letter: name[i] });
+        display.push({ type: 'space', position: i });
+      } else if (revealed.includes(i)) {
+        display.push({ type: 'revealed', letter: name[i], position: i });
       } else {
-        display.push({ type: 'blank' });
+        display.push({ type: 'blank', position: i });
       }
     }
 
     return display;
   }
 
-  // Get list of revealed attributes with values
-  function getRevealedAttributesList() {
-    return revealedAttributes.map(attr => ({
-      attribute: attr,
-      label: ATTRIBUTE_LABELS[attr],
-      value: targetFish.attributes[attr]
-    }));
+  // Label and value of one of the target's attributes
+  function describeAttribute(state, attribute) {
+    const def = AttributesModule.getAttribute(attribute);
+    const value = state.target.attributes[attribute];
+    return {
+      attribute,
+      label: def ? AttributesModule.getLabel(def) : attribute,
+      value,
+      display: def ? AttributesModule.format(def, value, state.target) : String(value)
+    };
+  }
+
+  // Get list of revealed attributes with values, in display order
+  function getRevealedAttributesList(state) {
+    return getAttributeKeys()
+      .filter(attr => state.hints.revealedAttributes.includes(attr))
+      .map(attr => describeAttribute(state, attr));
+  }
+
+  /**
+   * Revealed fact, genus initial and latest candidate count, for display
+   * @returns {Array<Object>} { type, label, display }
+   */
+  function getRevealedClues(state) {
+    const { hints, target } = state;
+    const clues = [];
+
+    if (hints.revealedGenus) {
+      clues.push({ type: 'genus', label: I18nModule.t('clue.genus'), display: `${getGenusInitial(target)}.` });
+    }
+    if (hints.candidateCounts.length > 0) {
+      const { count } = hints.candidateCounts[hints.candidateCounts.length - 1];
+      clues.push({
+        type: 'candidates',
+        label: I18nModule.t('clue.candidates'),
+        display: I18nModule.plural('clue.candidatesLeft', count)
+      });
+    }
+    if (hints.revealedFact) {
+      clues.push({ type: 'fact', label: I18nModule.t('clue.fact'), display: I18nModule.getFishFact(target) });
+    }
+
+    return clues;
+  }
+
+  /**
+   * Cost of the next hint of a type under the game's scoring mode
+   * @param {Object} state - Game state
+   * @param {string} type - Hint type ('letter', 'attribute', ...)
+   */
+  function getHintCost(state, type) {
+    const used = getHintCounts(state)[COUNT_KEYS[type]] || 0;
+    return ScoringModule.getHintCost(state.scoringMode, type, used);
+  }
+
+  // Points deducted so far for each hint type, keyed like getHintCounts()
+  function getHintPenalties(state) {
+    const counts = getHintCounts(state);
+    const penalties = {};
+    Object.entries(COUNT_KEYS).forEach(([type, key]) => {
+      penalties[key] = ScoringModule.getHintTypePenalty(state.scoringMode, type, counts[key]);
+    });
+    return penalties;
   }
 
   // Calculate total hint penalty
-  function getHintPenalty() {
-    return (revealedLetters.length * LETTER_HINT_COST) +
-           (revealedAttributes.length * ATTRIBUTE_HINT_COST);
+  function getHintPenalty(state) {
+    return Object.values(getHintPenalties(state)).reduce((sum, n) => sum + n, 0);
   }
 
   // Get hint counts for sharing
-  function getHintCounts() {
+  function getHintCounts(state) {
     return {
-      letters: revealedLetters.length,
-      attributes: revealedAttributes.length
+      letters: state.hints.revealedLetters.length,
+      positions: state.hints.chosenLetters.length,
+      wordStarts: state.hints.revealedWordStarts ? 1 : 0,
+      attributes: state.hints.revealedAttributes.length,
+      facts: state.hints.revealedFact ? 1 : 0,
+      genus: state.hints.revealedGenus ? 1 : 0,
+      candidates: state.hints.candidateCounts.length
     };
   }
 
   return {
-    init,
+    createState,
     loadState,
     getState,
+    setLetterPattern,
+    localizeName,
     revealLetter,
+    revealLetterAt,
+    revealWordStarts,
     revealAttribute,
+    revealFact,
+    revealGenus,
+    revealCandidates,
     canRevealLetter,
+    canRevealLetterAt,
+    canRevealWordStarts,
     canRevealAttribute,
+    canRevealFact,
+    canRevealGenus,
+    canRevealCandidates,
     getNameDisplay,
     getRevealedAttributesList,
+    getRevealedClues,
+    getHintCost,
     getHintPenalty,
-    getHintCounts,
-    LETTER_HINT_COST,
-    ATTRIBUTE_HINT_COST
+    getHintPenalties,
+    getHintCounts
   };
 })();
+
+// Allow the game engine to use this module in Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Hints;
+}
@@ -0,0 +1,152 @@
+/**
+ * I18n module
+ * UI text from locale bundles (data/locales/*.json) and fish common names
+ * in the active locale. Anything missing from a bundle falls back to English.
+ */
+
+const I18n = (function() {
+  const LOCALES = {
+    en: 'English',
+    fr: 'Français'
+  };
+
+  const DEFAULT_LOCALE = 'en';
+
+  // Attributes translated by translatePage, with their dataset keys
+  const TRANSLATED_ATTRIBUTES = {
+    title: 'i18nTitle',
+    placeholder: 'i18nPlaceholder',
+    'aria-label': 'i18nAriaLabel'
+  };
+
+  const bundles = {};
+  let locale = DEFAULT_LOCALE;
+
+  function isLocale(code) {
+    return Object.prototype.hasOwnProperty.call(LOCALES, code);
+  }
+
+  function getLocales() {
+    return Object.keys(LOCALES).map(key => ({ key, label: LOCALES[key] }));
+  }
+
+  function getLocale() {
+    return locale;
+  }
+
+  /**
+   * Switch the active locale (unknown locales fall back to English)
+   * @param {string} code - Locale code, e.g. 'fr'
+   */
+  function setLocale(code) {
+    locale = isLocale(code) ? code : DEFAULT_LOCALE;
+    if (typeof document !== 'undefined') {
+      document.documentElement.lang = locale;
+    }
+  }
+
+  /**
+   * Register the strings for a locale
+   * @param {string} code - Locale code
+   * @param {Object} bundle - Flat map of key to text
+   */
+  function setBundle(code, bundle) {
+    bundles[code] = bundle || {};
+  }
+
+  function hasBundle(code) {
+    return !!bundles[code];
+  }
+
+  // Locale matching the browser language, if we have one
+  function detectLocale() {
+    const language = typeof navigator !== 'undefined' && navigator.language || '';
+    const code = language.split('-')[0].toLowerCase();
+    return isLocale(code) ? code : DEFAULT_LOCALE;
+  }
+
+  // Whether the active locale or English has a string for a key
+  function has(key) {
+    return key in (bundles[locale] || {}) || key in (bundles[DEFAULT_LOCALE] || {});
+  }
+
+  /**
+   * Look up a string, filling in {placeholders}
+   * @param {string} key - Bundle key, e.g. 'result.won'
+   * @param {Object} [params] - Values for the placeholders
+   * @returns {string} Text in the active locale, English, or the key itself
+   */
+  function t(key, params = {}) {
+    const bundle = bundles[locale] || {};
+    const fallback = bundles[DEFAULT_LOCALE] || {};
+    const text = key in bundle ? bundle[key] : key in fallback ? fallback[key] : key;
+    return text.replace(/\{(\w+)\}/g, (match, name) => name in params ? params[name] : match);
+  }
+
+  /**
+   * Look up a counted string, using the `.one` or `.other` form
+   * @param {string} key - Bundle key without the plural suffix
+   * @param {number} count - Count, also available as {count}
+   * @param {Object} [params] - Other placeholder values
+   */
+  function plural(key, count, params = {}) {
+    const form = new Intl.PluralRules(locale).select(count) === 'one' ? 'one' : 'other';
+    return t(`${key}.${form}`, { ...params, count });
+  }
+
+  /**
+   * Common name of a fish in the active locale
+   * @param {Object} fish - Fish record with optional `names` by locale
+   * @returns {string} Localized name, or the English name
+   */
+  function getFishName(fish) {
+    return (fish.names && fish.names[locale]) || fish.name;
+  }
+
+  /**
+   * Fact about a fish in the active locale
+   * @param {Object} fish - Fish record with optional `facts` by locale
+   * @returns {string} Localized fact, or the English fact
+   */
+  function getFishFact(fish) {
+    return (fish.facts && fish.facts[locale]) || fish.fact;
+  }
+
+  /**
+   * Fill in static text marked with data-i18n attributes
+   * (data-i18n for text, data-i18n-title / -placeholder / -aria-label)
+   * @param {Element|Document} root - Element to translate
+   */
+  function translatePage(root) {
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+      el.textContent = t(el.dataset.i18n);
+    });
+    Object.entries(TRANSLATED_ATTRIBUTES).forEach(([attribute, dataKey]) => {
+      root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(el => {
+        el.setAttribute(attribute, t(el.dataset[dataKey]));
+      });
+    });
+  }
+
+  return {
+    isLocale,
+    getLocales,
+    getLocale,
+    setLocale,
+    setBundle,
+    hasBundle,
+    detectLocale,
+    has,
+    t,
+    plural,
+    getFishName,
+    getFishFact,
+    translatePage,
+    DEFAULT_LOCALE
+  };
+})();
+
+// Allow the game engine to use this module in Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = I18n;
+}
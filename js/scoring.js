@@ -0,0 +1,146 @@
+/**
+ * Scoring module
+ * The one scoring configuration: base score, penalties, hint costs and the
+ * optional scoring modes. The engine, hints, view and share text all read
+ * their numbers from here.
+ */
+
+const Scoring = (function() {
+  const CONFIG = {
+    baseScore: 100,
+    guessPenalty: 5,
+    minScore: 10,
+    hintCosts: {
+      letter: 10,
+      position: 15,
+      wordStarts: 15,
+      attribute: 5,
+      fact: 15,
+      genus: 5,
+      candidates: 5
+    },
+    // Alternative modes, each adding rules on top of the base config
+    modes: {
+      classic: {},
+      difficulty: {
+        // Score multiplier by the target's difficulty
+        difficultyMultiplier: { easy: 1, medium: 1.25, hard: 1.5 }
+      },
+      timed: {
+        // Bonus for a win, losing one point every `seconds`
+        timeBonus: { max: 30, seconds: 10 }
+      },
+      escalating: {
+        // Each further hint of a type costs `step` more than the last
+        escalatingHints: { step: 5 }
+      }
+    }
+  };
+
+  const DEFAULT_MODE = 'classic';
+
+  // Mode rules, falling back to classic for unknown modes
+  function getMode(mode) {
+    return CONFIG.modes[mode] || CONFIG.modes[DEFAULT_MODE];
+  }
+
+  function getModes() {
+    return Object.keys(CONFIG.modes);
+  }
+
+  /**
+   * Cost of a hint
+   * @param {string} mode - Scoring mode
+   * @param {string} type - Hint type ('letter', 'attribute', ...)
+   * @param {number} [used] - Hints of this type already used
+   * @returns {number} Points deducted
+   */
+  function getHintCost(mode, type, used = 0) {
+    const base = CONFIG.hintCosts[type] || 0;
+    const { escalatingHints } = getMode(mode);
+    return escalatingHints ? base + escalatingHints.step * used : base;
+  }
+
+  /**
+   * Total deducted for hints of one type
+   * @param {string} mode - Scoring mode
+   * @param {string} type - Hint type
+   * @param {number} count - Hints of this type used
+   */
+  function getHintTypePenalty(mode, type, count) {
+    let total = 0;
+    for (let used = 0; used < count; used++) {
+      total += getHintCost(mode, type, used);
+    }
+    return total;
+  }
+
+  // Score multiplier for the target's difficulty
+  function getMultiplier(mode, fish) {
+    const { difficultyMultiplier } = getMode(mode);
+    if (!difficultyMultiplier || !fish) return 1;
+    return difficultyMultiplier[fish.difficulty] || 1;
+  }
+
+  // Time bonus for a game that took `elapsedMs`
+  function getTimeBonus(mode, elapsedMs) {
+    const { timeBonus } = getMode(mode);
+    if (!timeBonus) return 0;
+    const lost = Math.floor(Math.max(0, elapsedMs) / 1000 / timeBonus.seconds);
+    return Math.max(0, timeBonus.max - lost);
+  }
+
+  /**
+   * Calculate a score
+   * @param {Object} options
+   * @param {string} options.mode - Scoring mode
+   * @param {Object} options.fish - Target fish
+   * @param {number} options.guesses - Guesses made
+   * @param {number} options.hintPenalty - Points deducted for hints
+   * @param {number} [options.elapsedMs] - Time taken, for the time bonus
+   * @param {boolean} [options.lost] - Whether the game was lost
+   * @returns {number} Score
+   */
+  function calculate({ mode, fish, guesses, hintPenalty, elapsedMs = 0, lost = false }) {
+    if (lost) return 0;
+
+    const score = Math.max(CONFIG.minScore,
+      CONFIG.baseScore - guesses * CONFIG.guessPenalty - hintPenalty);
+    return Math.round((score + getTimeBonus(mode, elapsedMs)) * getMultiplier(mode, fish));
+  }
+
+  // Whether the score changes while the clock runs
+  function isTimed(mode) {
+    return !!getMode(mode).timeBonus;
+  }
+
+  function isMode(mode) {
+    return Object.prototype.hasOwnProperty.call(CONFIG.modes, mode);
+  }
+
+  // Best possible score for a target in a mode
+  function getMaxScore(mode, fish) {
+    const { timeBonus } = getMode(mode);
+    const bonus = timeBonus ? timeBonus.max : 0;
+    return Math.round((CONFIG.baseScore + bonus) * getMultiplier(mode, fish));
+  }
+
+  return {
+    isMode,
+    isTimed,
+    getModes,
+    getHintCost,
+    getHintTypePenalty,
+    getMultiplier,
+    getTimeBonus,
+    calculate,
+    getMaxScore,
+    CONFIG,
+    DEFAULT_MODE
+  };
+})();
+
+// Allow the game engine to use this module in Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Scoring;
+}
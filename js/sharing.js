@@ -1,6 +1,7 @@
 /**
  * Sharing module
- * Generates shareable emoji grid results
+ * Generates shareable emoji grid results, worded in the active locale
+ * (puzzle numbers are the same in every locale)
  */
 
 const Sharing = (function() {
@@ -11,7 +12,51 @@ const Sharing = (function() {
     win: '\u{2705}',      // Check mark
     fish: '\u{1F41F}',    // Fish emoji
     letter: '\u{1F524}',  // Letters emoji
-    chart: '\u{1F4CA}'    // Chart emoji
+    pointer: '\u{1F446}', // Pointing finger emoji
+    capitals: '\u{1F520}', // Capital letters emoji
+    chart: '\u{1F4CA}',   // Chart emoji
+    bulb: '\u{1F4A1}',    // Light bulb emoji
+    microscope: '\u{1F52C}', // Microscope emoji
+    magnifier: '\u{1F50D}'   // Magnifying glass emoji
+  };
+
+  // Squares for exact and close matches; high contrast swaps green and
+  // yellow for orange and blue, which colourblind players can tell apart
+  const PALETTES = {
+    standard: {
+      correct: '\u{1F7E9}', // Green square
+      close: '\u{1F7E8}'    // Yellow square
+    },
+    highContrast: {
+      correct: '\u{1F7E7}', // Orange square
+      close: '\u{1F7E6}'    // Blue square
+    }
+  };
+
+  /**
+   * Switch the match squares used in the grid and share text
+   * @param {string} name - 'standard' or 'highContrast'
+   */
+  function setPalette(name) {
+    Object.assign(EMOJI, PALETTES[name] || PALETTES.standard);
+  }
+
+  // Square for a match grade ('exact', 'close' or 'wrong')
+  function getMatchEmoji(match) {
+    if (match === 'exact') return EMOJI.correct;
+    if (match === 'close') return EMOJI.close;
+    return EMOJI.wrong;
+  }
+
+  // Emoji shown for each hint type used
+  const HINT_EMOJI = {
+    letters: EMOJI.letter,
+    positions: EMOJI.pointer,
+    wordStarts: EMOJI.capitals,
+    attributes: EMOJI.chart,
+    facts: EMOJI.bulb,
+    genus: EMOJI.microscope,
+    candidates: EMOJI.magnifier
   };
 
   /**
@@ -22,14 +67,29 @@ const Sharing = (function() {
   function generateShareText(gameResult) {
     const {
       gameNumber,
+      tierLabel,
+      theme,
       score,
+      maxScore = 100,
+      scoringLabel,
       guessHistory,
       hintCounts,
+      hintPenalties = {},
+      hardMode,
       won
     } = gameResult;
 
-    let text = `${EMOJI.fish} Fishdle #${gameNumber} ${EMOJI.fish}\n`;
-    text += `Score: ${score}/100\n\n`;
+    let title = gameNumber ? `Fishdle #${gameNumber}` : I18n.t('share.practice');
+    if (tierLabel) {
+      title += ` (${tierLabel})`;
+    }
+    let text = `${EMOJI.fish} ${title} ${EMOJI.fish}\n`;
+    if (theme) {
+      text += `${theme}\n`;
+    }
+    // Hard mode is marked with an asterisk, Wordle-style
+    text += I18n.t('share.score', { score: `${won ? score : 'X'}/${maxScore}${hardMode ? '*' : ''}` });
+    text += scoringLabel ? ` (${scoringLabel})\n\n` : '\n\n';
 
     // Generate emoji grid from guess history
     guessHistory.forEach((guess, index) => {
@@ -43,15 +103,14 @@ const Sharing = (function() {
       }
     });
 
-    // Add hint usage
-    if (hintCounts.letters > 0 || hintCounts.attributes > 0) {
+    // Add hint usage, with the points each type cost
+    const usedHints = Object.keys(HINT_EMOJI).filter(type => hintCounts[type] > 0);
+    if (usedHints.length > 0) {
       text += '\n';
-      if (hintCounts.letters > 0) {
-        text += `${EMOJI.letter} x${hintCounts.letters} `;
-      }
-      if (hintCounts.attributes > 0) {
-        text += `${EMOJI.chart} x${hintCounts.attributes}`;
-      }
+      text += usedHints.map(type => {
+        const penalty = hintPenalties[type] ? ` (-${hintPenalties[type]})` : '';
+        return `${HINT_EMOJI[type]} x${hintCounts[type]}${penalty}`;
+      }).join(' ');
       text += '\n';
     }
 
@@ -66,17 +125,9 @@ const Sharing = (function() {
    * @returns {string} Row of emojis
    */
   function generateGuessRow(guess) {
-    const attributes = ['habitat', 'size', 'family', 'region'];
-    return attributes.map(attr => {
-      const comparison = guess.comparison[attr];
-      switch (comparison.match) {
-        case 'exact':
-          return EMOJI.correct;
-        case 'close':
-          return EMOJI.close;
-        default:
-          return EMOJI.wrong;
-      }
+    return Attributes.getSchema().map(def => {
+      const comparison = guess.comparison[def.key] || {};
+      return getMatchEmoji(comparison.match);
     }).join('');
   }
 
@@ -147,6 +198,8 @@ const Sharing = (function() {
     generateShareText,
     generateShareDisplay,
     shareResult,
-    copyToClipboard
+    copyToClipboard,
+    setPalette,
+    getMatchEmoji
   };
 })();
@@ -0,0 +1,125 @@
+/**
+ * Silhouette module
+ * Staged reveal of a silhouette SVG: a blurred close-up that widens and
+ * sharpens stage by stage. Crops and blur are worked out from the SVG's own
+ * viewBox, so any file in images/silhouettes can be staged.
+ */
+
+const Silhouette = (function() {
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+  const FILTER_ID = 'silhouette-blur';
+
+  // Share of the viewBox shown around its centre, and blur as a share of
+  // the shown width. The last stage is the full, sharp silhouette.
+  const STAGES = [
+    { zoom: 0.3, blur: 0.05 },
+    { zoom: 0.45, blur: 0.04 },
+    { zoom: 0.6, blur: 0.03 },
+    { zoom: 0.75, blur: 0.02 },
+    { zoom: 0.9, blur: 0.01 },
+    { zoom: 1, blur: 0 }
+  ];
+
+  function getStageCount() {
+    return STAGES.length;
+  }
+
+  /**
+   * Read an SVG's viewBox, falling back to its width and height
+   * @param {Element} svg - SVG element
+   * @returns {Array<number>|null} [x, y, width, height]
+   */
+  function parseViewBox(svg) {
+    const viewBox = (svg.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(Number);
+    if (viewBox.length === 4 && viewBox.every(Number.isFinite) && viewBox[2] > 0 && viewBox[3] > 0) {
+      return viewBox;
+    }
+
+    const width = parseFloat(svg.getAttribute('width'));
+    const height = parseFloat(svg.getAttribute('height'));
+    return width > 0 && height > 0 ? [0, 0, width, height] : null;
+  }
+
+  /**
+   * Crop and blur for a stage
+   * @param {Array<number>} viewBox - Full [x, y, width, height]
+   * @param {number} stage - Stage index, clamped to the last stage
+   * @returns {Object} { viewBox: [x, y, width, height], blur } in SVG units
+   */
+  function getStage(viewBox, stage) {
+    const { zoom, blur } = STAGES[Math.min(Math.max(stage, 0), STAGES.length - 1)];
+    const [x, y, width, height] = viewBox;
+    const cropWidth = width * zoom;
+    const cropHeight = height * zoom;
+
+    return {
+      viewBox: [
+        x + (width - cropWidth) / 2,
+        y + (height - cropHeight) / 2,
+        cropWidth,
+        cropHeight
+      ],
+      blur: Math.round(cropWidth * blur * 100) / 100
+    };
+  }
+
+  // Wrap the drawing in a blurred group, once
+  function getBlurGroup(svg) {
+    let group = svg.querySelector(':scope > g.silhouette-stage');
+    if (group) return group;
+
+    const filter = document.createElementNS(SVG_NS, 'filter');
+    filter.setAttribute('id', FILTER_ID);
+    // Leave room for the blur beyond the shape's bounding box
+    filter.setAttribute('x', '-50%');
+    filter.setAttribute('y', '-50%');
+    filter.setAttribute('width', '200%');
+    filter.setAttribute('height', '200%');
+    filter.appendChild(document.createElementNS(SVG_NS, 'feGaussianBlur'));
+
+    const defs = document.createElementNS(SVG_NS, 'defs');
+    defs.appendChild(filter);
+
+    group = document.createElementNS(SVG_NS, 'g');
+    group.setAttribute('class', 'silhouette-stage');
+    while (svg.firstChild) {
+      group.appendChild(svg.firstChild);
+    }
+    svg.appendChild(defs);
+    svg.appendChild(group);
+    return group;
+  }
+
+  /**
+   * Show a silhouette at a stage
+   * @param {Element} svg - Silhouette SVG element
+   * @param {number} stage - Stage index; the last stage (or beyond) is the full view
+   */
+  function apply(svg, stage) {
+    // Keep the file's own viewBox to crop from
+    if (!svg.dataset.viewBox) {
+      const viewBox = parseViewBox(svg);
+      if (!viewBox) return;
+      svg.dataset.viewBox = viewBox.join(' ');
+    }
+
+    const full = svg.dataset.viewBox.split(' ').map(Number);
+    const { viewBox, blur } = getStage(full, stage);
+    svg.setAttribute('viewBox', viewBox.join(' '));
+
+    const group = getBlurGroup(svg);
+    if (blur > 0) {
+      svg.querySelector(`#${FILTER_ID} feGaussianBlur`).setAttribute('stdDeviation', blur);
+      group.setAttribute('filter', `url(#${FILTER_ID})`);
+    } else {
+      group.removeAttribute('filter');
+    }
+  }
+
+  return {
+    getStageCount,
+    parseViewBox,
+    getStage,
+    apply
+  };
+})();
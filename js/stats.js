@@ -0,0 +1,285 @@
+/**
+ * Statistics dashboard module
+ * Builds guess, score and hint statistics from saved games, per daily tier
+ */
+
+const Stats = (function() {
+  // Daily saves: fishdle-<date> for the classic puzzle, fishdle-<tier>-<date>
+  // for the difficulty tiers
+  const GAME_KEY_PATTERN = new RegExp(`^fishdle-(?:(${Daily.TIERS.join('|')})-)?(\\d{4}-\\d{2}-\\d{2})$`);
+  const SCORE_BUCKET_SIZE = 10;
+  const MOST_MISSED_LIMIT = 5;
+
+  // Hint types in the dashboard, keyed like Hints.getHintCounts and
+  // labelled by the stats.hint.* strings
+  const HINT_TYPES = ['letters', 'positions', 'wordStarts', 'attributes', 'facts', 'genus', 'candidates'];
+
+  let fishDatabase = [];
+  let modalElement = null;
+  let contentElement = null;
+  let maxGuesses = 0;
+
+  // Tier shown, and the one whose result is highlighted
+  let shownTier = null;
+  let highlight = { tier: null, label: null };
+
+  function init(modal, content, database, guessLimit) {
+    modalElement = modal;
+    contentElement = content;
+    fishDatabase = database;
+    maxGuesses = guessLimit;
+
+    contentElement.addEventListener('click', (e) => {
+      const tab = e.target.closest('.stats-tiers .tier-tab');
+      if (tab) {
+        shownTier = tab.dataset.tier || null;
+        renderTier();
+      }
+    });
+  }
+
+  /**
+   * Read every completed daily game from localStorage
+   * @returns {Array<Object>} Completed game states, oldest first, each with
+   *   its tier (null for the classic puzzle)
+   */
+  function getGameResults() {
+    const results = [];
+
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      const match = GAME_KEY_PATTERN.exec(key);
+      if (!match) continue;
+
+      let state;
+      try {
+        state = JSON.parse(localStorage.getItem(key));
+      } catch {
+        continue;
+      }
+
+      if (!state || !state.gameOver) continue;
+
+      // Saves of any age normalise to the current hint state
+      const hints = Hints.loadState(state.hints, { attributeOrder: [] });
+      results.push({
+        date: match[2],
+        tier: match[1] || null,
+        won: state.won,
+        guessCount: state.guesses.length,
+        score: typeof state.score === 'number' ? state.score : null,
+        scoringMode: Scoring.isMode(state.scoringMode) ? state.scoringMode : Scoring.DEFAULT_MODE,
+        hintCounts: Hints.getHintCounts({ hints }),
+        wrongFishIds: state.guesses.filter(g => !g.correct).map(g => g.fishId)
+      });
+    }
+
+    return results.sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /**
+   * Summarize completed games
+   * @param {Array<Object>} results - Output of getGameResults()
+   * @returns {Object} Dashboard data
+   */
+  function summarize(results) {
+    const games = results.length;
+
+    // Guess distribution: 1..maxGuesses for wins, 'X' for losses
+    const guessDistribution = [];
+    for (let i = 1; i <= maxGuesses; i++) {
+      guessDistribution.push({ label: String(i), count: 0 });
+    }
+    const losses = { label: 'X', count: 0 };
+    guessDistribution.push(losses);
+
+    results.forEach(result => {
+      if (!result.won) {
+        losses.count++;
+      } else if (guessDistribution[result.guessCount - 1]) {
+        guessDistribution[result.guessCount - 1].count++;
+      }
+    });
+
+    // Scores are only comparable within a scoring mode, so each mode played
+    // gets its own average and distribution
+    const scored = results.filter(r => r.score !== null);
+    const scores = Scoring.getModes()
+      .map(key => summarizeScores(key, scored.filter(r => r.scoringMode === key)))
+      .filter(Boolean);
+
+    // Hint usage: share of games using each type, and uses per game
+    const hintUsage = HINT_TYPES.map(type => ({
+      type,
+      rate: rate(results.filter(r => r.hintCounts[type] > 0).length, games),
+      perGame: average(results.map(r => r.hintCounts[type]))
+    }));
+
+    // Most frequently guessed wrong fish
+    const missCounts = {};
+    results.forEach(result => {
+      result.wrongFishIds.forEach(id => {
+        missCounts[id] = (missCounts[id] || 0) + 1;
+      });
+    });
+
+    const mostMissed = Object.entries(missCounts)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MOST_MISSED_LIMIT)
+      .map(([id, count]) => {
+        const fish = fishDatabase.find(f => f.id === id);
+        return { name: fish ? I18n.getFishName(fish) : id, count };
+      });
+
+    return {
+      games,
+      guessDistribution,
+      scores,
+      hintUsage,
+      mostMissed
+    };
+  }
+
+  /**
+   * Average and distribution of one scoring mode's scores, in buckets of
+   * SCORE_BUCKET_SIZE up to the best score the mode allows
+   * @returns {Object|null} { mode, average, distribution }, or null if unplayed
+   */
+  function summarizeScores(mode, results) {
+    if (results.length === 0) return null;
+
+    const best = Math.max(...fishDatabase.map(fish => Scoring.getMaxScore(mode, fish)));
+    const distribution = [];
+    for (let low = Math.floor(best / SCORE_BUCKET_SIZE) * SCORE_BUCKET_SIZE; low >= 0; low -= SCORE_BUCKET_SIZE) {
+      distribution.push({ label: `${low}+`, min: low, count: 0 });
+    }
+    results.forEach(result => {
+      const bucket = distribution.find(b => result.score >= b.min);
+      if (bucket) bucket.count++;
+    });
+
+    const average = Math.round(results.reduce((sum, r) => sum + r.score, 0) / results.length);
+    return { mode, average, distribution };
+  }
+
+  function rate(count, total) {
+    return total > 0 ? Math.round((count / total) * 100) : 0;
+  }
+
+  function average(values) {
+    if (values.length === 0) return 0;
+    const total = values.reduce((sum, v) => sum + v, 0);
+    return Math.round((total / values.length) * 10) / 10;
+  }
+
+  /**
+   * Render a horizontal bar histogram
+   */
+  function renderHistogram(rows, highlightLabel) {
+    const max = Math.max(1, ...rows.map(r => r.count));
+
+    return `
+      <div class="histogram">
+        ${rows.map(row => `
+          <div class="histogram-row">
+            <span class="histogram-label">${row.label}</span>
+            <div class="histogram-bar ${row.label === highlightLabel ? 'highlight' : ''}"
+                 style="width: ${Math.max(8, (row.count / max) * 100)}%">${row.count}</div>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  function renderTierTabs() {
+    return `
+      <nav class="tier-tabs stats-tiers">
+        ${[null, ...Daily.TIERS].map(tier => `
+          <button class="tier-tab ${tier === shownTier ? 'active' : ''}" data-tier="${tier || ''}">
+            ${I18n.t(`tier.${tier || 'classic'}`)}
+          </button>
+        `).join('')}
+      </nav>
+    `;
+  }
+
+  // Render the shown tier's games
+  function renderTier() {
+    const results = getGameResults().filter(result => result.tier === shownTier);
+    render(summarize(results), highlight.tier === shownTier ? highlight.label : null);
+  }
+
+  /**
+   * Render the dashboard
+   * @param {Object} summary - Output of summarize()
+   * @param {string} [highlightLabel] - Guess distribution row to highlight
+   */
+  function render(summary, highlightLabel) {
+    if (summary.games === 0) {
+      contentElement.innerHTML = `${renderTierTabs()}<div class="history-empty">${I18n.t('stats.empty')}</div>`;
+      return;
+    }
+
+    const { hintUsage } = summary;
+
+    contentElement.innerHTML = `
+      ${renderTierTabs()}
+      <div class="stats-section">
+        <h3>${I18n.t('stats.guessDistribution')}</h3>
+        ${renderHistogram(summary.guessDistribution, highlightLabel)}
+      </div>
+      ${summary.scores.map(({ mode, average, distribution }) => `
+        <div class="stats-section">
+          <h3>${mode === Scoring.DEFAULT_MODE ?
+            I18n.t('stats.scores') : I18n.t('stats.scoresMode', { mode: I18n.t(`scoring.${mode}`) })}</h3>
+          <p class="stats-average">${I18n.t('stats.averageScore')} <strong>${average}</strong></p>
+          ${renderHistogram(distribution)}
+        </div>
+      `).join('')}
+      <div class="stats-section">
+        <h3>${I18n.t('stats.hintUsage')}</h3>
+        <div class="stats-grid hint-usage">
+          ${hintUsage.map(usage => `
+            <div class="stat-box">
+              <span class="stat-number">${usage.rate}%</span>
+              <span class="stat-label">${I18n.t('stats.gamesWith', { hint: I18n.t(`stats.hint.${usage.type}`) })}</span>
+              <span class="stat-detail">${I18n.t('stats.perGame', { count: usage.perGame })}</span>
+            </div>
+          `).join('')}
+        </div>
+      </div>
+      ${summary.mostMissed.length > 0 ? `
+        <div class="stats-section">
+          <h3>${I18n.t('stats.mostMissed')}</h3>
+          <ol class="most-missed">
+            ${summary.mostMissed.map(m => `<li>${m.name} <span class="miss-count">×${m.count}</span></li>`).join('')}
+          </ol>
+        </div>
+      ` : ''}
+    `;
+  }
+
+  /**
+   * Open the stats dashboard
+   * @param {string} [highlightLabel] - Guess distribution row to highlight
+   * @param {string|null} [tier] - Tier to show first, null for classic
+   */
+  function show(highlightLabel, tier = null) {
+    shownTier = tier;
+    highlight = { tier, label: highlightLabel };
+    renderTier();
+    modalElement.classList.remove('hidden');
+  }
+
+  function hide() {
+    modalElement.classList.add('hidden');
+  }
+
+  return {
+    init,
+    getGameResults,
+    summarize,
+    show,
+    hide
+  };
+})();
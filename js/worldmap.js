@@ -0,0 +1,95 @@
+/**
+ * World map module
+ * Draws a small SVG world map from the region shapes of a geographic
+ * attribute (see data/attributes.json)
+ */
+
+const WorldMap = (function() {
+  // Equirectangular projection, cropped to the latitudes fish live in
+  const VIEW_BOX = '0 0 360 150';
+  const TOP_LATITUDE = 90;
+
+  function toList(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+  }
+
+  function project([lon, lat]) {
+    return `${lon + 180},${TOP_LATITUDE - lat}`;
+  }
+
+  function shapeToPath(points) {
+    return `M${points.map(project).join('L')}Z`;
+  }
+
+  /**
+   * Regions the target's range cannot include, given the guesses so far
+   * @param {Object} def - Geographic attribute definition
+   * @param {Array<Object>} guesses - Guesses with fish and comparison
+   * @returns {Set<string>} Region names
+   */
+  function getRuledOut(def, guesses) {
+    const ruledOut = new Set();
+    const allRegions = Object.keys(def.regions);
+
+    guesses.forEach(({ fish, comparison }) => {
+      const feedback = comparison[def.key];
+      const regions = toList(fish.attributes[def.key]);
+      if (!feedback) return;
+
+      if (feedback.relation === 'exact') {
+        allRegions.filter(r => !regions.includes(r)).forEach(r => ruledOut.add(r));
+      } else if (feedback.relation === 'adjacent') {
+        regions.forEach(r => ruledOut.add(r));
+      } else if (feedback.relation === 'none') {
+        // Not even a neighbouring region is part of the range
+        regions.forEach(r => {
+          ruledOut.add(r);
+          (def.regions[r] ? def.regions[r].adjacent : []).forEach(n => ruledOut.add(n));
+        });
+      }
+    });
+
+    return ruledOut;
+  }
+
+  /**
+   * Render the map
+   * @param {Object} def - Geographic attribute definition
+   * @param {Object} options
+   * @param {Array<string>} options.guessed - Regions of the guessed fish
+   * @param {string} options.match - 'exact', 'close' or 'wrong'
+   * @param {Set<string>} [options.ruledOut] - Regions ruled out so far
+   * @param {Array<string>} [options.target] - Target range, once the game is over
+   * @returns {string} SVG markup
+   */
+  function render(def, { guessed, match, ruledOut = new Set(), target = null }) {
+    // Draw the target's range last so its outline is not covered
+    const isTarget = name => !!target && target.includes(name);
+    const entries = Object.entries(def.regions)
+      .sort(([a], [b]) => Number(isTarget(a)) - Number(isTarget(b)));
+
+    const paths = entries.map(([name, region]) => {
+      const classes = ['map-region'];
+      if (ruledOut.has(name)) classes.push('ruled-out');
+      if (guessed.includes(name)) classes.push('guessed', match);
+      if (isTarget(name)) classes.push('target');
+
+      return (region.shapes || []).map(shape =>
+        `<path class="${classes.join(' ')}" d="${shapeToPath(shape)}"><title>${Attributes.formatValue(def.key, name)}</title></path>`
+      ).join('');
+    });
+
+    return `
+      <svg class="world-map" viewBox="${VIEW_BOX}" xmlns="http://www.w3.org/2000/svg"
+           role="img" aria-label="${Attributes.getLabel(def)}: ${Attributes.format(def, guessed)}">
+        ${paths.join('')}
+      </svg>
+    `;
+  }
+
+  return {
+    getRuledOut,
+    render
+  };
+})();
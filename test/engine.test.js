@@ -0,0 +1,103 @@
+/**
+ * Engine tests: a game played, saved and restored without the browser
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Attributes = require('../js/attributes.js');
+const Engine = require('../js/engine.js');
+const I18n = require('../js/i18n.js');
+const fishDatabase = require('../data/fish.json');
+
+Attributes.setSchema(require('../data/attributes.json'));
+I18n.setBundle('en', require('../data/locales/en.json'));
+
+const findFish = id => fishDatabase.find(f => f.id === id);
+
+test('wrong guesses give feedback and use up guesses', () => {
+  const engine = Engine.create(fishDatabase, { maxGuesses: 3 });
+  engine.newGame(findFish('koi'));
+
+  const { guess } = engine.guess('bluefin-tuna');
+  assert.strictEqual(guess.correct, false);
+  assert.ok(guess.comparison.size);
+  assert.strictEqual(engine.getGuessesRemaining(), 2);
+  assert.strictEqual(engine.getState().gameOver, false);
+
+  assert.deepStrictEqual(engine.guess('bluefin-tuna'), { error: 'already-guessed' });
+  assert.deepStrictEqual(engine.guess('not-a-fish'), { error: 'unknown-fish' });
+
+  engine.guess('clownfish');
+  engine.guess('atlantic-salmon');
+  assert.strictEqual(engine.getState().gameOver, true);
+  assert.strictEqual(engine.getState().won, false);
+  assert.deepStrictEqual(engine.guess('koi'), { error: 'game-over' });
+});
+
+test('the right guess wins', () => {
+  const engine = Engine.create(fishDatabase);
+  engine.newGame(findFish('koi'));
+
+  engine.guess('clownfish');
+  assert.strictEqual(engine.guess('koi').guess.correct, true);
+  assert.strictEqual(engine.getState().won, true);
+  assert.ok(engine.getScore() > 0);
+});
+
+test('hard mode rejects guesses that contradict the feedback', () => {
+  const engine = Engine.create(fishDatabase);
+  engine.newGame(findFish('koi'), { hardMode: true });
+
+  engine.guess('bluefin-tuna');
+  const result = engine.guess('great-white-shark');
+  assert.strictEqual(result.error, 'hard-mode');
+  assert.match(result.message, /must be/);
+});
+
+test('the candidates hint counts only fish that fit every piece of feedback', () => {
+  const engine = Engine.create(fishDatabase);
+  engine.newGame(findFish('koi'));
+
+  engine.guess('bluefin-tuna');
+  assert.strictEqual(engine.useHint('candidates').count, 26);
+});
+
+test('serialize and restore round-trip a game in progress', () => {
+  const engine = Engine.create(fishDatabase);
+  engine.newGame(findFish('koi'), { scoringMode: 'escalating', stagedReveal: true });
+  engine.guess('bluefin-tuna');
+  engine.useHint('letter');
+
+  const saved = JSON.parse(JSON.stringify(engine.serialize()));
+  assert.strictEqual(saved.targetId, 'koi');
+
+  const restored = Engine.create(fishDatabase);
+  const state = restored.restore(saved);
+  assert.strictEqual(state.target.id, 'koi');
+  assert.deepStrictEqual(state.guesses.map(g => g.fish.id), ['bluefin-tuna']);
+  assert.strictEqual(state.scoringMode, 'escalating');
+  assert.strictEqual(state.stagedReveal, true);
+  assert.strictEqual(state.revealStage, 2);
+  assert.strictEqual(restored.getScore(), engine.getScore());
+
+  restored.guess('koi');
+  assert.strictEqual(restored.getState().won, true);
+});
+
+test('only active play time counts towards a timed score', t => {
+  t.mock.method(Date, 'now', () => 0);
+  const engine = Engine.create(fishDatabase);
+  engine.newGame(findFish('koi'), { scoringMode: 'timed' });
+  const fresh = engine.getScore();
+
+  engine.pause();
+  Date.now.mock.mockImplementation(() => 60 * 60 * 1000);
+  engine.resume();
+  assert.strictEqual(engine.getScore(), fresh);
+  assert.strictEqual(engine.serialize().activeMs, 0);
+
+  Date.now.mock.mockImplementation(() => 60 * 60 * 1000 + 60 * 1000);
+  assert.ok(engine.getScore() < fresh);
+});
@@ -0,0 +1,294 @@
+#!/usr/bin/env node
+
+/**
+ * Generate the daily fish schedule for Fishdle
+ *
+ * Past days (up to and including today, UTC) are never rewritten. Future days
+ * are drawn from seeded shuffles of every fish id, so adding fish to
+ * data/fish.json only changes days that have not been played yet. Each
+ * difficulty tier gets its own schedule, starting on the day it is first
+ * generated and never repeating that day's classic fish.
+ *
+ * Usage:
+ *   node tools/generate-schedule.js [--days 365]
+ *   node tools/generate-schedule.js --check [git-ref]
+ *
+ * --check validates data/schedule.json and data/overrides.json against
+ * data/fish.json and verifies that no day up to today resolves to a different
+ * fish than in the version at git-ref (default HEAD).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+const Daily = require('../js/daily.js');
+
+const FISH_JSON_PATH = path.join(__dirname, '..', 'data', 'fish.json');
+const SCHEDULE_PATH = path.join(__dirname, '..', 'data', 'schedule.json');
+const OVERRIDES_PATH = path.join(__dirname, '..', 'data', 'overrides.json');
+const DEFAULT_DAYS_AHEAD = 365;
+
+/**
+ * Read a JSON data file, returning null if it does not exist
+ */
+function readJSON(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Read a JSON data file as committed at a git ref
+ */
+function readCommittedJSON(ref, filePath) {
+  try {
+    const relative = path.relative(process.cwd(), filePath).split(path.sep).join('/');
+    const content = execSync(`git show ${ref}:./${relative}`, {
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore']
+    });
+    return JSON.parse(content);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Index of today's game in the schedule
+ */
+function getTodayIndex() {
+  return Daily.getGameNumber(Daily.getTodayUTC()) - 1;
+}
+
+/**
+ * List days up to lastIndex that differ between two lists of fish ids
+ */
+function findRewrittenDays(previousDays, nextDays, lastIndex) {
+  const rewritten = [];
+  const end = Math.min(lastIndex, previousDays.length - 1);
+
+  for (let i = 0; i <= end; i++) {
+    if (previousDays[i] !== nextDays[i]) {
+      const date = Daily.getDateKey(Daily.getDateForGameNumber(i + 1));
+      rewritten.push(`#${i + 1} (${date}): ${previousDays[i]} -> ${nextDays[i]}`);
+    }
+  }
+
+  return rewritten;
+}
+
+/**
+ * Get a tier schedule as a list indexed by game number - 1
+ */
+function getTierDays(schedule, tier) {
+  const entry = schedule.tiers && schedule.tiers[tier];
+  if (!entry) return [];
+  return new Array(entry.firstGame - 1).fill(null).concat(entry.days);
+}
+
+/**
+ * List fish that repeat before every fish in the pool has been used
+ */
+function findRepeats(days, cycleStart, fishIds) {
+  const repeats = [];
+  let used = new Set();
+
+  for (let i = cycleStart; i < days.length; i++) {
+    const id = days[i];
+    if (used.has(id)) {
+      repeats.push(`day ${i + 1}: "${id}" repeats before the pool is used up`);
+    }
+    used.add(id);
+    if (fishIds.every(fishId => used.has(fishId))) {
+      used = new Set();
+    }
+  }
+
+  return repeats;
+}
+
+/**
+ * Resolve the fish id for each day, applying curated overrides
+ */
+function resolveDays(schedule, overridesData) {
+  Daily.setOverrides(overridesData ? overridesData.overrides : []);
+
+  return schedule.days.map((id, i) => {
+    const override = Daily.getOverride(i + 1);
+    return (override && override.fishId) || id;
+  });
+}
+
+/**
+ * Build the first schedule, locking in the answers players have already seen
+ */
+function bootstrapSchedule(fishData, todayIndex) {
+  const days = [];
+  for (let i = 0; i <= todayIndex; i++) {
+    const date = Daily.getDateForGameNumber(i + 1);
+    days.push(fishData[Daily.getLegacyIndex(date, fishData.length)].id);
+  }
+
+  return { cycleStart: days.length, days };
+}
+
+/**
+ * Generate or extend the schedule
+ */
+function generate(daysAhead) {
+  const fishData = JSON.parse(fs.readFileSync(FISH_JSON_PATH, 'utf8'));
+  const fishIds = fishData.map(f => f.id);
+  const todayIndex = getTodayIndex();
+
+  const existing = readJSON(SCHEDULE_PATH);
+  const base = existing ?
+    { cycleStart: existing.cycleStart, days: existing.days.slice(0, todayIndex + 1) } :
+    bootstrapSchedule(fishData, todayIndex);
+
+  const lastGame = todayIndex + 1 + daysAhead;
+  const schedule = {
+    cycleStart: base.cycleStart,
+    days: Daily.extendSchedule(base.days, fishIds, lastGame, base.cycleStart),
+    tiers: {}
+  };
+  const classicDays = resolveDays(schedule, readJSON(OVERRIDES_PATH));
+
+  Daily.TIERS.forEach(tier => {
+    const tierIds = fishData.filter(f => f.difficulty === tier).map(f => f.id);
+    const existingTier = existing && existing.tiers && existing.tiers[tier];
+    const firstGame = existingTier ? existingTier.firstGame : todayIndex + 1;
+    const kept = existingTier ? existingTier.days.slice(0, todayIndex + 2 - firstGame) : [];
+
+    schedule.tiers[tier] = {
+      firstGame,
+      days: Daily.extendSchedule(kept, tierIds, lastGame - firstGame + 1, 0, Daily.TIER_SEEDS[tier],
+        i => classicDays[firstGame - 1 + i])
+    };
+  });
+
+  if (existing) {
+    const rewritten = findRewrittenDays(existing.days, schedule.days, todayIndex);
+    Daily.TIERS.forEach(tier => {
+      rewritten.push(...findRewrittenDays(
+        getTierDays(existing, tier), getTierDays(schedule, tier), todayIndex
+      ).map(day => `${tier} ${day}`));
+    });
+
+    if (rewritten.length > 0) {
+      throw new Error(`Refusing to rewrite past days:\n  ${rewritten.join('\n  ')}`);
+    }
+  }
+
+  fs.writeFileSync(SCHEDULE_PATH, JSON.stringify(schedule, null, 2) + '\n');
+
+  console.log(`Scheduled ${schedule.days.length} days (through ` +
+    `${Daily.getDateKey(Daily.getDateForGameNumber(schedule.days.length))})`);
+}
+
+/**
+ * Validate the schedule and make sure past days were not rewritten
+ */
+function check(ref) {
+  const fishData = JSON.parse(fs.readFileSync(FISH_JSON_PATH, 'utf8'));
+  const fishIds = new Set(fishData.map(f => f.id));
+  const schedule = readJSON(SCHEDULE_PATH);
+  const overridesData = readJSON(OVERRIDES_PATH);
+  const errors = [];
+
+  if (!schedule) {
+    console.error('data/schedule.json not found. Run: node tools/generate-schedule.js');
+    process.exit(1);
+  }
+
+  // Every scheduled fish must exist
+  schedule.days.forEach((id, i) => {
+    if (!fishIds.has(id)) {
+      errors.push(`#${i + 1}: unknown fish id "${id}"`);
+    }
+  });
+
+  Daily.TIERS.forEach(tier => {
+    const entry = schedule.tiers && schedule.tiers[tier];
+    if (!entry) {
+      errors.push(`missing ${tier} tier schedule`);
+      return;
+    }
+
+    entry.days.forEach((id, i) => {
+      if (!fishIds.has(id)) {
+        errors.push(`${tier} #${entry.firstGame + i}: unknown fish id "${id}"`);
+      }
+    });
+
+    const tierIds = fishData.filter(f => f.difficulty === tier).map(f => f.id);
+    errors.push(...findRepeats(entry.days, 0, tierIds).map(repeat => `${tier} ${repeat}`));
+  });
+
+  // Overrides must name a day and existing fish
+  const overrides = overridesData ? overridesData.overrides : [];
+  overrides.forEach((entry, i) => {
+    const label = entry.theme || `entry ${i + 1}`;
+    if (!entry.date && !entry.gameNumber && !(entry.start && entry.end)) {
+      errors.push(`override "${label}": needs date, gameNumber or start/end`);
+    }
+
+    const fish = Array.isArray(entry.fish) ? entry.fish : [entry.fish].filter(Boolean);
+    fish.forEach(id => {
+      if (!fishIds.has(id)) {
+        errors.push(`override "${label}": unknown fish id "${id}"`);
+      }
+    });
+  });
+
+  // No repeats within a shuffled cycle
+  errors.push(...findRepeats(schedule.days, schedule.cycleStart, [...fishIds]));
+
+  // Tier puzzles must not give away the classic puzzle of the same day
+  const classicDays = resolveDays(schedule, overridesData);
+  Daily.TIERS.forEach(tier => {
+    getTierDays(schedule, tier).forEach((id, i) => {
+      if (id && id === classicDays[i]) {
+        errors.push(`${tier} #${i + 1}: "${id}" is also the classic fish that day`);
+      }
+    });
+  });
+
+  // Past days must match the committed schedule and overrides
+  const committed = readCommittedJSON(ref, SCHEDULE_PATH);
+  if (committed) {
+    const todayIndex = getTodayIndex();
+    const committedDays = resolveDays(committed, readCommittedJSON(ref, OVERRIDES_PATH));
+    const days = resolveDays(schedule, overridesData);
+
+    errors.push(...findRewrittenDays(committedDays, days, todayIndex)
+      .map(day => `past day rewritten: ${day}`));
+
+    Daily.TIERS.forEach(tier => {
+      errors.push(...findRewrittenDays(getTierDays(committed, tier), getTierDays(schedule, tier), todayIndex)
+        .map(day => `past ${tier} day rewritten: ${day}`));
+    });
+
+    if (committed.cycleStart !== schedule.cycleStart) {
+      errors.push(`cycleStart changed from ${committed.cycleStart} to ${schedule.cycleStart}`);
+    }
+  } else {
+    console.warn(`No committed schedule at ${ref}, skipping past-day comparison`);
+  }
+
+  if (errors.length > 0) {
+    console.error(`Schedule check failed:\n  ${errors.join('\n  ')}`);
+    process.exit(1);
+  }
+
+  console.log(`Schedule OK (${schedule.days.length} days)`);
+}
+
+// Main execution
+const args = process.argv.slice(2);
+
+if (args[0] === '--check') {
+  check(args[1] || 'HEAD');
+} else {
+  const daysIndex = args.indexOf('--days');
+  const daysAhead = daysIndex !== -1 ? parseInt(args[daysIndex + 1], 10) : DEFAULT_DAYS_AHEAD;
+  generate(daysAhead);
+}